@@ -0,0 +1,99 @@
+const check = require('./validation');
+
+// Журнал действий: типы событий, разбор фильтров из адреса и выгрузка в CSV.
+// Сами записи хранятся в таблице audit_events (storage.audit)
+const AUDIT_TYPES = [
+  'login_failed',
+  'join', 'leave',
+  'create', 'edit', 'move', 'delete', 'erase',
+  'undo', 'redo',
+  'clear', 'restore',
+  'denied'
+];
+
+// Сколько событий отдается за раз по умолчанию и не больше скольких
+const DEFAULT_AUDIT_LIMIT = 200;
+const MAX_AUDIT_LIMIT = 5000;
+
+const isoTime = check.rule(value => typeof value === 'string' && value.length <= 40 && !Number.isNaN(Date.parse(value)));
+
+const querySchema = {
+  user: check.optional(check.string(100, 1)),
+  type: check.optional(check.oneOf(AUDIT_TYPES)),
+  board: check.optional(check.pattern(/^\d+$/, 10)),
+  from: check.optional(isoTime),
+  to: check.optional(isoTime),
+  limit: check.optional(check.pattern(/^\d+$/, 10)),
+  format: check.optional(check.oneOf(['json', 'csv']))
+};
+
+// Время для сравнения с created_at: 'YYYY-MM-DD HH:MM:SS' в UTC
+const toSqlTime = (value) => new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * Параметры запроса журнала: user, type, board, from и to (ISO 8601), limit, format.
+ * Результат — { value: { filters, limit, format } } или { error } с текстом для клиента
+ */
+const parseQuery = (query) => {
+  const result = check.validate(query, querySchema);
+  if (result.error) {
+    return { error: result.error };
+  }
+
+  const { user, type, board, from, to, limit, format = 'json' } = result.value;
+  return {
+    value: {
+      filters: {
+        username: user,
+        type,
+        boardId: board ? parseInt(board) : undefined,
+        from: from ? toSqlTime(from) : undefined,
+        to: to ? toSqlTime(to) : undefined
+      },
+      limit: Math.min(limit ? parseInt(limit) || DEFAULT_AUDIT_LIMIT : DEFAULT_AUDIT_LIMIT, MAX_AUDIT_LIMIT),
+      format
+    }
+  };
+};
+
+// Строка audit_events для клиента: подробности — объектом
+const toClientEvent = (row) => ({
+  id: row.id,
+  type: row.type,
+  boardId: row.board_id,
+  username: row.username,
+  objectId: row.object_id,
+  details: row.details === null ? null : JSON.parse(row.details),
+  createdAt: row.created_at
+});
+
+// Значение ячейки CSV. Ячейку, которая начинается с =, +, - или @, таблица
+// приняла бы за формулу — имя пользователя не должно выполниться при открытии
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// События в CSV; BOM нужен, чтобы Excel прочитал кириллицу как UTF-8
+const toCsv = (events) => {
+  const header = ['time', 'username', 'type', 'board', 'object', 'details'];
+  const lines = events.map(event => [
+    event.createdAt,
+    event.username,
+    event.type,
+    event.boardId,
+    event.objectId,
+    event.details === null ? '' : JSON.stringify(event.details)
+  ].map(csvCell).join(','));
+  return `\uFEFF${[header.join(','), ...lines].join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  AUDIT_TYPES,
+  parseQuery,
+  toClientEvent,
+  toCsv
+};
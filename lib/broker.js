@@ -0,0 +1,39 @@
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createClient } = require('redis');
+
+// Общая шина для нескольких процессов сервера (REDIS_URL): рассылка в комнаты,
+// disconnectSockets и serverSideEmit проходят через Redis или совместимый
+// с ним брокер (Valkey, KeyDB). Без шины каждый процесс видит только своих клиентов
+
+// Префикс каналов шины: несколько приложений могут делить один Redis
+const CHANNEL_PREFIX = 'drawing-board';
+
+/**
+ * Адаптер Socket.IO поверх пары клиентов: pubClient публикует, subClient
+ * подписывается. Подходит любой клиент с API пакета redis (v4 и новее)
+ */
+const brokerAdapter = ({ pubClient, subClient }) => createAdapter(pubClient, subClient, { key: CHANNEL_PREFIX });
+
+// Подключение к Redis по адресу; close — отключение обоих клиентов
+const connectBroker = async (url) => {
+  const pubClient = createClient({ url });
+  const subClient = pubClient.duplicate();
+
+  [pubClient, subClient].forEach(client => {
+    client.on('error', err => console.error('❌ Redis error:', err.message));
+  });
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  console.log('✅ Connected to Redis broker');
+
+  return {
+    pubClient,
+    subClient,
+    close: () => Promise.all([pubClient.close(), subClient.close()])
+  };
+};
+
+module.exports = {
+  brokerAdapter,
+  connectBroker
+};
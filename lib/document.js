@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const check = require('./validation');
+const uploads = require('./uploads');
+const boardObjects = require('./objects');
+
+// Документ доски — переносимый JSON: доску можно перенести на другой сервер
+// или хранить в git. Объекты идут в порядке отрисовки вместе с владельцами,
+// оформлением и временем, картинки — файлами внутри документа (base64).
+// Сервер читает документы своей версии формата и более ранних
+const DOCUMENT_FORMAT = 'drawing-board';
+const DOCUMENT_VERSION = 1;
+
+// Служебные поля данных объекта: в документе они вынесены на уровень объекта
+const META_FIELDS = ['id', 'type', 'owner', 'userId', 'createdAt', 'timestamp'];
+
+// Скрытие заметок — состояние занятия, а не доски: в документ не попадает
+const SESSION_FIELDS = ['hidden', 'concealed'];
+
+const MAX_NOTE_VOTES = 1000;
+
+// Время в документе — ISO 8601; null — значения нет или оно некорректно
+const isoTime = (value) => {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+// created_at строки базы: 'YYYY-MM-DD HH:MM:SS' в UTC
+const fromSqlTime = (value) => (value ? isoTime(`${String(value).replace(' ', 'T')}Z`) : null);
+const toSqlTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+const timeField = check.rule(value => typeof value === 'string' && value.length <= 40 && isoTime(value) !== null);
+
+// Файл в base64 не больше загрузки
+const MAX_FILE_DATA_LENGTH = Math.ceil(uploads.UPLOAD_MAX_BYTES / 3) * 4;
+
+const documentSchema = (maxObjects) => ({
+  format: check.oneOf([DOCUMENT_FORMAT]),
+  version: check.integer(1, DOCUMENT_VERSION),
+  board: check.object({
+    name: check.string(100, 1),
+    createdBy: check.optional(check.string(100)),
+    createdAt: check.optional(timeField)
+  }),
+  objects: check.arrayOf(check.object({
+    id: boardObjects.objectIdField,
+    type: check.oneOf(boardObjects.OBJECT_TYPES),
+    owner: check.optional(check.string(100)),
+    createdAt: check.optional(timeField),
+    updatedAt: check.optional(timeField),
+    data: check.object({
+      ...boardObjects.OBJECT_FIELDS,
+      id: check.optional(boardObjects.objectIdField),
+      type: check.optional(check.oneOf(boardObjects.OBJECT_TYPES)),
+      votes: check.optional(check.arrayOf(check.string(100, 1), MAX_NOTE_VOTES))
+    })
+  }), maxObjects),
+  files: check.optional(check.arrayOf(check.object({
+    id: boardObjects.newObjectIdField,
+    mime: check.string(100),
+    data: check.string(MAX_FILE_DATA_LENGTH, 1)
+  }), maxObjects))
+});
+
+// Объект документа из строки drawings
+const documentObject = (row) => {
+  const stored = JSON.parse(row.data);
+  const data = {};
+  Object.entries(stored).forEach(([key, value]) => {
+    if (!META_FIELDS.includes(key) && !SESSION_FIELDS.includes(key)) {
+      data[key] = value;
+    }
+  });
+
+  return {
+    id: row.object_id,
+    type: row.type,
+    owner: row.user_id || stored.owner || null,
+    createdAt: isoTime(stored.createdAt) || fromSqlTime(row.created_at),
+    updatedAt: isoTime(stored.timestamp),
+    data
+  };
+};
+
+// Строки без чужих скрытых заметок и связей с ними: viewer их содержимого не видит
+const visibleRows = (rows, viewer) => {
+  const concealed = new Set(rows
+    .filter(row => boardObjects.concealObjectData(row.type, JSON.parse(row.data), viewer).concealed)
+    .map(row => row.object_id));
+  if (concealed.size === 0) return rows;
+
+  return rows.filter(row => {
+    if (concealed.has(row.object_id)) return false;
+    if (row.type !== 'connector') return true;
+    const { from, to } = JSON.parse(row.data);
+    return !concealed.has(from) && !concealed.has(to);
+  });
+};
+
+/**
+ * Документ доски из базы; null — доски нет. Картинки, чьих файлов
+ * на сервере уже нет, пропускаются: перенести их все равно нельзя.
+ * viewer — кто выгружает доску: чужие скрытые заметки в его документ
+ * не попадают; без viewer (скрипт администратора) выгружается все
+ */
+const exportDocument = async (storage, boardId, { viewer = null } = {}) => {
+  const board = await storage.boards.find(boardId);
+  if (!board) return null;
+
+  const rows = await storage.objects.list(boardId);
+  const files = new Map();
+  const objects = (viewer ? visibleRows(rows, viewer) : rows)
+    .map(documentObject)
+    .filter(object => {
+      if (object.type !== 'image') return true;
+
+      const file = uploads.readUpload(object.data.url);
+      if (!file) return false;
+      if (!files.has(file.id)) {
+        files.set(file.id, { id: file.id, mime: file.mime, data: file.buffer.toString('base64') });
+      }
+      return true;
+    });
+
+  return {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    exportedAt: new Date().toISOString(),
+    board: { name: board.name, createdBy: board.created_by, createdAt: fromSqlTime(board.created_at) },
+    objects,
+    files: [...files.values()]
+  };
+};
+
+// Файл картинки из документа: { id, type, buffer, width, height }; null — файл некорректен.
+// id приводится к нижнему регистру, как в адресах /uploads/, по которым его ищут картинки
+const readDocumentFile = (file) => {
+  const buffer = Buffer.from(file.data, 'base64');
+  const type = uploads.detectFileType(buffer);
+  if (!type || type.ext === 'pdf' || buffer.length > uploads.UPLOAD_MAX_BYTES) return null;
+
+  const size = uploads.imageSize(buffer, type.mime);
+  return size && size.width && size.height ? { id: file.id.toLowerCase(), type, buffer, ...size } : null;
+};
+
+/**
+ * Проверка документа перед импортом: { value } — доска, объекты с данными
+ * в том виде, в каком их хранит сервер, и файлы картинок; { error } — текст
+ * ошибки для пользователя
+ */
+const readDocument = (doc, { maxObjects = boardObjects.MAX_BOARD_OBJECTS } = {}) => {
+  if (!doc || typeof doc !== 'object' || doc.format !== DOCUMENT_FORMAT) {
+    return { error: 'Файл не похож на документ доски' };
+  }
+  if (Number.isInteger(doc.version) && doc.version > DOCUMENT_VERSION) {
+    return { error: `Документ версии ${doc.version} создан более новой версией сервера` };
+  }
+  if (Array.isArray(doc.objects) && doc.objects.length > maxObjects) {
+    return { error: `В документе слишком много объектов (максимум ${maxObjects})` };
+  }
+
+  const result = check.validate(doc, documentSchema(maxObjects));
+  if (result.error) {
+    return { error: result.error };
+  }
+
+  const files = new Map();
+  for (const [index, file] of (result.value.files || []).entries()) {
+    const image = readDocumentFile(file);
+    if (!image) {
+      return { error: `Некорректный файл «files[${index}]»` };
+    }
+    if (files.has(image.id)) {
+      return { error: `Повторяющийся id файла «${file.id}»` };
+    }
+    files.set(image.id, image);
+  }
+
+  const ids = new Set();
+  const objects = [];
+  for (const [index, object] of result.value.objects.entries()) {
+    if (ids.has(object.id)) {
+      return { error: `Повторяющийся id объекта «${object.id}»` };
+    }
+    ids.add(object.id);
+
+    const data = boardObjects.buildObjectData(object.type, object.data);
+    if (!data) {
+      return { error: `Некорректный объект «objects[${index}]»` };
+    }
+    if (object.type === 'image') {
+      if (!files.has(uploads.uploadIdFromUrl(data.url))) {
+        return { error: `Нет файла картинки «objects[${index}]»` };
+      }
+      data.pinned = Boolean(object.data.pinned);
+    }
+    if (object.type === 'note') {
+      data.votes = [...new Set(object.data.votes || [])];
+    }
+
+    objects.push({ ...object, data });
+  }
+
+  // Связь соединяет заметки и рамки того же документа
+  const types = new Map(objects.map(object => [object.id, object.type]));
+  for (const [index, object] of objects.entries()) {
+    if (object.type === 'connector' &&
+        ![object.data.from, object.data.to].every(end => boardObjects.CONNECTABLE_TYPES.includes(types.get(end)))) {
+      return { error: `Связь «objects[${index}]» ведет к объекту, которого нет в документе` };
+    }
+  }
+
+  return { value: { board: result.value.board, objects, files: [...files.values()] } };
+};
+
+/**
+ * Новая доска из проверенного документа (readDocument). Объекты и файлы
+ * получают новые id, поэтому один документ можно импортировать несколько раз.
+ * Результат — { id, name, created_by, objects } новой доски
+ */
+const importDocument = async (storage, doc, { createdBy, name = doc.board.name }) => {
+  // Файлы пишутся до транзакции: при ошибке базы останутся только ненужные файлы
+  const urls = new Map();
+  const uploadRows = [];
+  for (const file of doc.files) {
+    const id = crypto.randomUUID();
+    const filename = await uploads.storeFile(id, file.type.ext, file.buffer);
+    urls.set(file.id, `/uploads/${filename}`);
+    uploadRows.push([id, filename, file.type.mime, file.buffer.length, file.width, file.height]);
+  }
+
+  // Порядок отрисовки — порядок документа: у всех строк одно время вставки,
+  // а исходное время объекта остается в его данных
+  const now = new Date();
+  const ids = new Map(doc.objects.map(object => [object.id, crypto.randomUUID()]));
+  const rows = doc.objects.map(object => {
+    const id = ids.get(object.id);
+    const owner = object.owner || null;
+    const createdAt = object.createdAt || now.toISOString();
+    const data = {
+      id,
+      ...object.data,
+      owner,
+      userId: owner,
+      createdAt,
+      timestamp: object.updatedAt || createdAt
+    };
+    if (object.type === 'image') {
+      data.url = urls.get(uploads.uploadIdFromUrl(object.data.url));
+    }
+    if (object.type === 'connector') {
+      data.from = ids.get(object.data.from);
+      data.to = ids.get(object.data.to);
+    }
+    return { object_id: id, type: object.type, data: JSON.stringify(data), user_id: owner, created_at: toSqlTime(now) };
+  });
+
+  const boardId = await storage.transaction(async (tx) => {
+    const id = await tx.boards.create(name, createdBy);
+    for (const [uploadId, filename, mime, size, width, height] of uploadRows) {
+      await tx.run(
+        `INSERT INTO uploads (id, board_id, filename, mime, original_name, page, size, width, height, uploaded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [uploadId, id, filename, mime, null, null, size, width, height, createdBy]
+      );
+    }
+    await tx.objects.replaceAll(id, rows);
+    return id;
+  });
+
+  return { id: boardId, name, created_by: createdBy, objects: rows.length };
+};
+
+module.exports = {
+  DOCUMENT_FORMAT,
+  DOCUMENT_VERSION,
+  exportDocument,
+  readDocument,
+  importDocument
+};
@@ -0,0 +1,228 @@
+// Геометрия ластика: путь ластика — ломаная из точек с радиусом,
+// штрих задевается, если его линия (с учетом толщины) подходит к пути ближе радиуса
+
+// Math.hypot заметно медленнее: расстояния здесь считаются сотнями тысяч за стирание
+const vectorLength = (dx, dy) => Math.sqrt(dx * dx + dy * dy);
+
+const distance = (a, b) => vectorLength(a.x - b.x, a.y - b.y);
+
+// Расстояние от точки до отрезка ab
+const pointToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  if (lengthSquared === 0) return distance(p, a);
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return vectorLength(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+
+const segmentsIntersect = (a, b, c, d) => {
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+};
+
+const segmentToSegment = (a, b, c, d) => {
+  if (segmentsIntersect(a, b, c, d)) return 0;
+  return Math.min(pointToSegment(a, c, d), pointToSegment(b, c, d), pointToSegment(c, a, b), pointToSegment(d, a, b));
+};
+
+// Отрезки ломаной; одна точка — вырожденный отрезок
+const segmentsOf = (points) => (
+  points.length === 1 ? [[points[0], points[0]]] : points.slice(1).map((point, i) => [points[i], point])
+);
+
+const boundsOf = (points) => points.reduce((box, point) => ({
+  minX: Math.min(box.minX, point.x),
+  minY: Math.min(box.minY, point.y),
+  maxX: Math.max(box.maxX, point.x),
+  maxY: Math.max(box.maxY, point.y)
+}), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+// Радиус, в котором ластик задевает линию штриха
+const reachOf = (stroke, radius) => radius + (stroke.lineWidth || 0) / 2;
+
+const boundsApart = (a, b, gap) => (
+  a.maxX + gap < b.minX || b.maxX + gap < a.minX || a.maxY + gap < b.minY || b.maxY + gap < a.minY
+);
+
+// Сетка над путем ластика: клетки размером с ластик (не больше GRID_SIDE по стороне),
+// в каждой — отрезки пути, которые ее задевают. Штрих сверяется только
+// с отрезками из клеток рядом с ним, а не со всем путем
+const GRID_SIDE = 64;
+
+// Сколько сравнений с отрезками пути допускает одно стирание: проверка идет
+// синхронно, и длинный путь над длинными штрихами не должен занимать процесс
+const MAX_ERASE_WORK = 500000;
+
+const indexPath = (path, radius) => {
+  const segments = segmentsOf(path);
+  const bounds = boundsOf(path);
+  const cellSize = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, 1) / GRID_SIDE;
+  const size = Math.max(cellSize, radius * 2, 1);
+  const columns = Math.floor((bounds.maxX - bounds.minX) / size) + 1;
+  const rows = Math.floor((bounds.maxY - bounds.minY) / size) + 1;
+  const cells = Array.from({ length: columns * rows }, () => []);
+
+  // Клетки, которые задевает прямоугольник; за краем сетки — крайние клетки
+  const cellRange = (box) => {
+    const clamp = (value, count) => Math.max(0, Math.min(count - 1, Math.floor(value / size)));
+    return {
+      fromX: clamp(box.minX - bounds.minX, columns),
+      toX: clamp(box.maxX - bounds.minX, columns),
+      fromY: clamp(box.minY - bounds.minY, rows),
+      toY: clamp(box.maxY - bounds.minY, rows)
+    };
+  };
+
+  // Длинный отрезок кладется в клетки по кускам не длиннее клетки,
+  // иначе он занял бы все клетки своего прямоугольника
+  segments.forEach(([a, b], i) => {
+    const parts = Math.max(1, Math.ceil(distance(a, b) / size));
+    for (let k = 0; k < parts; k++) {
+      const from = { x: a.x + (b.x - a.x) * k / parts, y: a.y + (b.y - a.y) * k / parts };
+      const to = { x: a.x + (b.x - a.x) * (k + 1) / parts, y: a.y + (b.y - a.y) * (k + 1) / parts };
+      const { fromX, toX, fromY, toY } = cellRange(boundsOf([from, to]));
+      for (let y = fromY; y <= toY; y++) {
+        for (let x = fromX; x <= toX; x++) {
+          const cell = cells[y * columns + x];
+          if (cell[cell.length - 1] !== i) cell.push(i);
+        }
+      }
+    }
+  });
+
+  // Метки «отрезок уже найден» для текущего поиска, чтобы не заводить Set на каждый
+  const seen = new Uint32Array(segments.length);
+  let search = 0;
+
+  // Отрезки пути рядом с прямоугольником, расширенным на gap, без повторов,
+  // и сколько работы ушло на поиск (просмотренные клетки и отрезки)
+  const near = (box, gap) => {
+    const { fromX, toX, fromY, toY } = cellRange({
+      minX: box.minX - gap, minY: box.minY - gap, maxX: box.maxX + gap, maxY: box.maxY + gap
+    });
+    const area = (toX - fromX + 1) * (toY - fromY + 1);
+    // Большой прямоугольник задевает почти весь путь: обход клеток дороже самих отрезков
+    if (area > GRID_SIDE) return { found: segments, work: segments.length };
+
+    search++;
+    const found = [];
+    for (let y = fromY; y <= toY; y++) {
+      for (let x = fromX; x <= toX; x++) {
+        for (const i of cells[y * columns + x]) {
+          if (seen[i] === search) continue;
+          seen[i] = search;
+          found.push(segments[i]);
+        }
+      }
+    }
+    return { found, work: area + found.length };
+  };
+
+  return { bounds, near };
+};
+
+// Частичное стирание режет штрих по точкам, поэтому длинные отрезки
+// сначала дробятся с шагом меньше радиуса ластика
+const densify = (points, step) => {
+  const result = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const parts = Math.max(1, Math.ceil(distance(from, to) / step));
+    for (let j = 1; j <= parts; j++) {
+      const k = j / parts;
+      const point = { x: from.x + (to.x - from.x) * k, y: from.y + (to.y - from.y) * k };
+      if (Number.isFinite(from.t) && Number.isFinite(to.t)) {
+        point.t = Math.round(from.t + (to.t - from.t) * k);
+      }
+      result.push(point);
+    }
+  }
+  return result;
+};
+
+const strokeLength = (points) => points.slice(1).reduce((sum, point, i) => sum + distance(points[i], point), 0);
+
+/**
+ * Ластик одного события erase: путь, радиус и общий на все штрихи доски
+ * запас сравнений (MAX_ERASE_WORK). Когда запас кончился, overBudget — true,
+ * а touches и split больше ничего не задевают: стирание нужно отклонить целиком.
+ */
+const createEraser = (path, radius) => {
+  const index = indexPath(path, radius);
+  let work = 0;
+
+  // Отрезки пути рядом с прямоугольником; null — запас сравнений исчерпан
+  const candidates = (box, reach) => {
+    const { found, work: spent } = index.near(box, reach);
+    work += spent;
+    if (work > MAX_ERASE_WORK) {
+      eraser.overBudget = true;
+      return null;
+    }
+    return found;
+  };
+
+  // Задевает ли путь ластика штрих
+  const touches = (stroke) => {
+    const points = stroke.points || [];
+    if (eraser.overBudget || points.length === 0) return false;
+
+    const reach = reachOf(stroke, radius);
+    if (boundsApart(boundsOf(points), index.bounds, reach)) return false;
+
+    return segmentsOf(points).some(([a, b]) => {
+      const segments = candidates(boundsOf([a, b]), reach);
+      return segments !== null && segments.some(([c, d]) => segmentToSegment(a, b, c, d) <= reach);
+    });
+  };
+
+  /**
+   * Части штриха, оставшиеся после ластика: массив массивов точек.
+   * null — ластик штрих не задел; [] — штрих стерт целиком.
+   * maxPoints ограничивает число точек после дробления.
+   */
+  const split = (stroke, maxPoints) => {
+    if (!touches(stroke)) return null;
+
+    const points = stroke.points;
+    const reach = reachOf(stroke, radius);
+    const step = Math.max(radius / 2, 1, strokeLength(points) / maxPoints);
+    const isErased = (point) => {
+      const segments = candidates(boundsOf([point]), reach);
+      return segments !== null && segments.some(([c, d]) => pointToSegment(point, c, d) <= reach);
+    };
+
+    const pieces = [];
+    let current = [];
+    let erasedAny = false;
+    densify(points, step).forEach(point => {
+      if (isErased(point)) {
+        erasedAny = true;
+        if (current.length > 0) pieces.push(current);
+        current = [];
+      } else {
+        current.push(point);
+      }
+    });
+    if (current.length > 0) pieces.push(current);
+    if (eraser.overBudget || !erasedAny) return null;
+
+    // Одиночная точка от линии выглядела бы лишней кляксой
+    return points.length === 1 ? pieces : pieces.filter(piece => piece.length > 1);
+  };
+
+  const eraser = { touches, split, overBudget: false };
+  return eraser;
+};
+
+module.exports = {
+  createEraser
+};
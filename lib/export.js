@@ -0,0 +1,437 @@
+const { Resvg } = require('@resvg/resvg-js');
+const PDFDocument = require('pdfkit');
+
+// Отступ вокруг содержимого доски при экспорте
+const EXPORT_PADDING = 40;
+
+// Размер пустой доски
+const EMPTY_BOARD_SIZE = { width: 800, height: 600 };
+
+// Ограничение длинной стороны PNG, чтобы огромная доска не съела память
+const MAX_RASTER_SIDE = 4096;
+
+// Параметры текстового блока — как у .text-element в main.html
+const TEXT_STYLE = {
+  fontSize: 20,
+  lineHeight: 24,
+  paddingX: 12,
+  paddingY: 8,
+  minWidth: 60,
+  minHeight: 30,
+  radius: 8
+};
+
+// Карточки заметок и рамок — как .note-element и .frame-element в main.html
+const NOTE_STYLE = {
+  fontSize: 16,
+  lineHeight: 20,
+  padding: 10,
+  footer: 22,
+  radius: 4
+};
+
+const FRAME_STYLE = {
+  fontSize: 14,
+  titleHeight: 28,
+  padding: 10,
+  radius: 8,
+  border: '#90caf9'
+};
+
+// Шрифты текстов по ключам из данных объекта — как TEXT_FONTS в main.html,
+// с DejaVu на случай сервера без шрифтов Windows
+const TEXT_FONTS = {
+  sans: 'Arial, \'DejaVu Sans\', sans-serif',
+  serif: 'Georgia, \'Times New Roman\', \'DejaVu Serif\', serif',
+  mono: '\'Courier New\', \'DejaVu Sans Mono\', monospace',
+  hand: '\'Comic Sans MS\', \'Segoe Print\', \'DejaVu Sans\', cursive'
+};
+
+// Выравнивание строк: якорь SVG и точка привязки внутри блока
+const TEXT_ANCHORS = {
+  left: { anchor: 'start', x: (box) => box.x + TEXT_STYLE.paddingX },
+  center: { anchor: 'middle', x: (box) => box.x + box.width / 2 },
+  right: { anchor: 'end', x: (box) => box.x + box.width - TEXT_STYLE.paddingX }
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Цвет из данных клиента попадает в атрибут, поэтому экранируется
+const colorAttr = (color, fallback = '#000000') => escapeXml(typeof color === 'string' && color ? color : fallback);
+
+// Разбор строк таблицы drawings в объекты для отрисовки
+const parseRows = (rows) => {
+  const objects = [];
+
+  rows.forEach(row => {
+    let data;
+    try {
+      data = JSON.parse(row.data);
+    } catch (error) {
+      console.error(`❌ Export: broken data in object ${row.object_id}`);
+      return;
+    }
+
+    if (row.type === 'stroke') {
+      const points = Array.isArray(data.points)
+        ? data.points.filter(point => point && isNumber(point.x) && isNumber(point.y))
+        : [];
+      if (points.length > 0) {
+        objects.push({ type: 'stroke', ...data, points });
+      }
+    } else if (row.type === 'shape') {
+      if (['x1', 'y1', 'x2', 'y2'].every(key => isNumber(data[key]))) {
+        objects.push({ type: 'shape', ...data });
+      }
+    } else if (row.type === 'text') {
+      if (typeof data.text === 'string' && isNumber(data.x) && isNumber(data.y)) {
+        objects.push({ type: 'text', ...data });
+      }
+    } else if (row.type === 'image') {
+      if (typeof data.url === 'string' && ['x', 'y', 'width', 'height'].every(key => isNumber(data[key]))) {
+        objects.push({ type: 'image', ...data });
+      }
+    } else if (row.type === 'note' || row.type === 'frame') {
+      if (['x', 'y', 'width', 'height'].every(key => isNumber(data[key]))) {
+        objects.push({ type: row.type, ...data, id: row.object_id });
+      }
+    } else if (row.type === 'connector') {
+      if (typeof data.from === 'string' && typeof data.to === 'string') {
+        objects.push({ type: 'connector', ...data });
+      }
+    }
+  });
+
+  // Концы связи — центры соединенных карточек; связь с удаленной карточкой не рисуется
+  const cards = new Map(objects
+    .filter(object => object.type === 'note' || object.type === 'frame')
+    .map(object => [object.id, object]));
+
+  return objects.flatMap(object => {
+    if (object.type !== 'connector') return [object];
+
+    const from = cards.get(object.from);
+    const to = cards.get(object.to);
+    if (!from || !to) return [];
+    return [{
+      ...object,
+      x1: from.x + from.width / 2,
+      y1: from.y + from.height / 2,
+      x2: to.x + to.width / 2,
+      y2: to.y + to.height / 2
+    }];
+  });
+};
+
+const textBox = (text) => ({
+  x: text.x,
+  y: text.y,
+  width: Math.max(isNumber(text.width) ? text.width : 0, TEXT_STYLE.minWidth),
+  height: Math.max(isNumber(text.height) ? text.height : 0, TEXT_STYLE.minHeight)
+});
+
+const rotationOf = (object) => (isNumber(object.rotation) ? object.rotation : 0);
+
+// Границы прямоугольника, повернутого на rotation вокруг своего центра
+const rotatedBoxBounds = (box, rotation, pad = 0) => {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const cos = Math.abs(Math.cos(rotation));
+  const sin = Math.abs(Math.sin(rotation));
+  const halfWidth = (box.width * cos + box.height * sin) / 2 + pad;
+  const halfHeight = (box.width * sin + box.height * cos) / 2 + pad;
+  return { minX: cx - halfWidth, minY: cy - halfHeight, maxX: cx + halfWidth, maxY: cy + halfHeight };
+};
+
+// Поворот вокруг центра прямоугольника в виде атрибута transform
+const rotateAttr = (box, rotation) => (
+  rotation
+    ? ` transform="rotate(${round(rotation * 180 / Math.PI)} ${round(box.x + box.width / 2)} ${round(box.y + box.height / 2)})"`
+    : ''
+);
+
+const shapeBox = (shape) => ({
+  x: Math.min(shape.x1, shape.x2),
+  y: Math.min(shape.y1, shape.y2),
+  width: Math.abs(shape.x2 - shape.x1),
+  height: Math.abs(shape.y2 - shape.y1)
+});
+
+// Границы объекта в логических координатах доски
+const objectBounds = (object) => {
+  if (object.type === 'text') {
+    return rotatedBoxBounds(textBox(object), rotationOf(object));
+  }
+
+  if (object.type === 'image' || object.type === 'note' || object.type === 'frame') {
+    return rotatedBoxBounds(object, rotationOf(object));
+  }
+
+  if (object.type === 'shape' && !['line', 'arrow'].includes(object.shape)) {
+    return rotatedBoxBounds(shapeBox(object), rotationOf(object), (isNumber(object.lineWidth) ? object.lineWidth : 1) / 2);
+  }
+
+  const half = (isNumber(object.lineWidth) ? object.lineWidth : 1) / 2;
+  const points = object.type === 'stroke'
+    ? object.points
+    : [{ x: object.x1, y: object.y1 }, { x: object.x2, y: object.y2 }];
+  // Наконечник стрелки выходит за линию
+  const extra = object.shape === 'arrow' ? Math.max(10, half * 8) : 0;
+
+  return points.reduce((acc, p) => ({
+    minX: Math.min(acc.minX, p.x - half - extra),
+    minY: Math.min(acc.minY, p.y - half - extra),
+    maxX: Math.max(acc.maxX, p.x + half + extra),
+    maxY: Math.max(acc.maxY, p.y + half + extra)
+  }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+};
+
+const strokePath = (points) => {
+  const [first, ...rest] = points;
+  // Одиночная точка рисуется нулевым отрезком с круглым концом
+  const tail = rest.length > 0 ? rest : [first];
+  return `M${round(first.x)} ${round(first.y)}` + tail.map(p => ` L${round(p.x)} ${round(p.y)}`).join('');
+};
+
+const strokeToSvg = (stroke, color) => (
+  `<path d="${strokePath(stroke.points)}" fill="none" stroke="${color}" ` +
+  `stroke-width="${round(stroke.lineWidth || 1)}" stroke-linecap="round" stroke-linejoin="round"/>`
+);
+
+// Фигуры повторяют drawShape из main.html
+const shapeToSvg = (shape) => {
+  const box = shapeBox(shape);
+  const { x: left, y: top, width, height } = box;
+  const lineWidth = isNumber(shape.lineWidth) ? shape.lineWidth : 1;
+  const stroke = `stroke="${colorAttr(shape.color)}" stroke-width="${round(lineWidth)}" ` +
+    'stroke-linecap="round" stroke-linejoin="round"' + rotateAttr(box, rotationOf(shape));
+  const fill = shape.fill ? `fill="${colorAttr(shape.fill)}"` : 'fill="none"';
+
+  if (shape.shape === 'line' || shape.shape === 'arrow') {
+    let d = `M${round(shape.x1)} ${round(shape.y1)} L${round(shape.x2)} ${round(shape.y2)}`;
+
+    if (shape.shape === 'arrow') {
+      const angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1);
+      const head = Math.max(10, lineWidth * 4);
+      [-Math.PI / 7, Math.PI / 7].forEach(offset => {
+        d += ` M${round(shape.x2)} ${round(shape.y2)}` +
+          ` L${round(shape.x2 - head * Math.cos(angle + offset))} ${round(shape.y2 - head * Math.sin(angle + offset))}`;
+      });
+    }
+    return `<path d="${d}" fill="none" ${stroke}/>`;
+  }
+
+  if (shape.shape === 'rect') {
+    return `<rect x="${round(left)}" y="${round(top)}" width="${round(width)}" height="${round(height)}" ${fill} ${stroke}/>`;
+  }
+
+  if (shape.shape === 'ellipse') {
+    return `<ellipse cx="${round(left + width / 2)}" cy="${round(top + height / 2)}" ` +
+      `rx="${round(width / 2)}" ry="${round(height / 2)}" ${fill} ${stroke}/>`;
+  }
+
+  if (shape.shape === 'triangle') {
+    const points = [[left + width / 2, top], [left + width, top + height], [left, top + height]]
+      .map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+    return `<polygon points="${points}" ${fill} ${stroke}/>`;
+  }
+
+  return '';
+};
+
+// Текстовый блок: подложка как у .text-element, строки обрезаются по размеру блока.
+// Markdown и формулы в экспорт попадают исходным текстом
+const textToSvg = (text, index) => {
+  const box = textBox(text);
+  const clipId = `text-clip-${index}`;
+  const fontSize = isNumber(text.fontSize) ? text.fontSize : TEXT_STYLE.fontSize;
+  const lineHeight = fontSize * TEXT_STYLE.lineHeight / TEXT_STYLE.fontSize;
+  const fontFamily = TEXT_FONTS[text.fontFamily] || TEXT_FONTS.sans;
+  const align = TEXT_ANCHORS[text.align] || TEXT_ANCHORS.left;
+  const fontStyle = (text.bold ? ' font-weight="bold"' : '') + (text.italic ? ' font-style="italic"' : '');
+  const lines = text.text.split('\n');
+  const spans = lines.map((line, i) => (
+    `<tspan x="${round(align.x(box))}" ` +
+    `y="${round(box.y + TEXT_STYLE.paddingY + fontSize + i * lineHeight - fontSize / 5)}">` +
+    `${escapeXml(line)}</tspan>`
+  )).join('');
+
+  return `<clipPath id="${clipId}"><rect x="${round(box.x)}" y="${round(box.y)}" ` +
+    `width="${round(box.width)}" height="${round(box.height)}" rx="${TEXT_STYLE.radius}"/></clipPath>` +
+    `<g${rotateAttr(box, rotationOf(text))}><g clip-path="url(#${clipId})">` +
+    `<rect x="${round(box.x)}" y="${round(box.y)}" width="${round(box.width)}" height="${round(box.height)}" ` +
+    `rx="${TEXT_STYLE.radius}" fill="#ffffff" fill-opacity="0.95"/>` +
+    `<text font-family="${escapeXml(fontFamily)}" font-size="${round(fontSize)}"${fontStyle} ` +
+    `text-anchor="${align.anchor}" fill="${colorAttr(text.color)}" xml:space="preserve">${spans}</text></g></g>`;
+};
+
+// Заметка: цветная карточка с текстом, внизу автор и число голосов.
+// Скрытая заметка приходит уже без текста (concealRows)
+const noteToSvg = (note, index) => {
+  const clipId = `note-clip-${index}`;
+  const text = typeof note.text === 'string' ? note.text : '';
+  const votes = Array.isArray(note.votes) ? note.votes.length : 0;
+  const spans = text.split('\n').map((line, i) => (
+    `<tspan x="${round(note.x + NOTE_STYLE.padding)}" ` +
+    `y="${round(note.y + NOTE_STYLE.padding + NOTE_STYLE.fontSize + i * NOTE_STYLE.lineHeight - NOTE_STYLE.fontSize / 5)}">` +
+    `${escapeXml(line)}</tspan>`
+  )).join('');
+  const footerY = round(note.y + note.height - NOTE_STYLE.padding);
+  const footer = (note.owner
+    ? `<text x="${round(note.x + NOTE_STYLE.padding)}" y="${footerY}" font-size="11" fill="#666666">${escapeXml(note.owner)}</text>`
+    : '') +
+    (votes > 0
+      ? `<text x="${round(note.x + note.width - NOTE_STYLE.padding)}" y="${footerY}" font-size="12" ` +
+        `font-weight="bold" text-anchor="end" fill="#333333">+${votes}</text>`
+      : '');
+
+  return `<clipPath id="${clipId}"><rect x="${round(note.x)}" y="${round(note.y)}" ` +
+    `width="${round(note.width)}" height="${round(note.height)}"/></clipPath>` +
+    `<g${rotateAttr(note, rotationOf(note))}><g clip-path="url(#${clipId})">` +
+    `<rect x="${round(note.x)}" y="${round(note.y)}" width="${round(note.width)}" height="${round(note.height)}" ` +
+    `rx="${NOTE_STYLE.radius}" fill="${colorAttr(note.color, '#fff59d')}"/>` +
+    `<text font-family="${escapeXml(TEXT_FONTS.sans)}" font-size="${NOTE_STYLE.fontSize}" fill="#222222" ` +
+    `xml:space="preserve">${spans}</text>${footer}</g></g>`;
+};
+
+// Рамка: цветная область с подписью сверху
+const frameToSvg = (frame) => (
+  `<g${rotateAttr(frame, rotationOf(frame))}>` +
+  `<rect x="${round(frame.x)}" y="${round(frame.y)}" width="${round(frame.width)}" height="${round(frame.height)}" ` +
+  `rx="${FRAME_STYLE.radius}" fill="${colorAttr(frame.color, '#e3f2fd')}" ` +
+  `stroke="${FRAME_STYLE.border}" stroke-width="2"/>` +
+  `<text x="${round(frame.x + FRAME_STYLE.padding)}" y="${round(frame.y + FRAME_STYLE.titleHeight - FRAME_STYLE.padding)}" ` +
+  `font-family="${escapeXml(TEXT_FONTS.sans)}" font-size="${FRAME_STYLE.fontSize}" font-weight="bold" fill="#1e3a5f">` +
+  `${escapeXml(typeof frame.title === 'string' ? frame.title : '')}</text></g>`
+);
+
+const connectorToSvg = (connector) => (
+  `<path d="M${round(connector.x1)} ${round(connector.y1)} L${round(connector.x2)} ${round(connector.y2)}" ` +
+  `fill="none" stroke="${colorAttr(connector.color)}" stroke-width="${round(connector.lineWidth || 2)}" stroke-linecap="round"/>`
+);
+
+// Картинка растягивается по своему блоку, как <img> на доске
+const imageToSvg = (image, href) => (
+  `<image href="${escapeXml(href)}" x="${round(image.x)}" y="${round(image.y)}" ` +
+  `width="${round(image.width)}" height="${round(image.height)}" preserveAspectRatio="none"` +
+  `${rotateAttr(image, rotationOf(image))}/>`
+);
+
+/**
+ * Собирает SVG доски из строк таблицы drawings (в порядке создания).
+ * Штрихи и фигуры лежат на одном слое, ластик вырезает из него всё,
+ * нарисованное раньше, как destination-out на холсте. Закрепленные картинки
+ * и рамки — под этим слоем, связи — в нем, текст, заметки и остальные
+ * картинки — поверх.
+ * options.resolveImage(url) возвращает данные картинки для href или null.
+ */
+const renderBoardSvg = (rows, options = {}) => {
+  const resolveImage = options.resolveImage || (() => null);
+  const objects = parseRows(rows);
+  const visible = objects.filter(object => !(object.type === 'stroke' && object.isEraser));
+
+  let viewBox = { x: 0, y: 0, ...EMPTY_BOARD_SIZE };
+  if (visible.length > 0) {
+    const bounds = visible.map(objectBounds).reduce((acc, b) => ({
+      minX: Math.min(acc.minX, b.minX),
+      minY: Math.min(acc.minY, b.minY),
+      maxX: Math.max(acc.maxX, b.maxX),
+      maxY: Math.max(acc.maxY, b.maxY)
+    }));
+    viewBox = {
+      x: Math.floor(bounds.minX - EXPORT_PADDING),
+      y: Math.floor(bounds.minY - EXPORT_PADDING),
+      width: Math.ceil(bounds.maxX - bounds.minX + EXPORT_PADDING * 2),
+      height: Math.ceil(bounds.maxY - bounds.minY + EXPORT_PADDING * 2)
+    };
+  }
+
+  const masks = [];
+  const backgroundLayer = [];
+  let canvasLayer = '';
+  const textLayer = [];
+
+  objects.forEach(object => {
+    if (object.type === 'text') {
+      textLayer.push(textToSvg(object, textLayer.length));
+    } else if (object.type === 'image') {
+      const href = resolveImage(object.url);
+      if (href) {
+        (object.pinned ? backgroundLayer : textLayer).push(imageToSvg(object, href));
+      }
+    } else if (object.type === 'note') {
+      textLayer.push(noteToSvg(object, textLayer.length));
+    } else if (object.type === 'frame') {
+      backgroundLayer.push(frameToSvg(object));
+    } else if (object.type === 'connector') {
+      canvasLayer += connectorToSvg(object);
+    } else if (object.type === 'shape') {
+      canvasLayer += shapeToSvg(object);
+    } else if (object.isEraser) {
+      const maskId = `eraser-${masks.length}`;
+      masks.push(
+        `<mask id="${maskId}" maskUnits="userSpaceOnUse" x="${viewBox.x}" y="${viewBox.y}" ` +
+        `width="${viewBox.width}" height="${viewBox.height}">` +
+        `<rect x="${viewBox.x}" y="${viewBox.y}" width="${viewBox.width}" height="${viewBox.height}" fill="#ffffff"/>` +
+        `${strokeToSvg(object, '#000000')}</mask>`
+      );
+      canvasLayer = `<g mask="url(#${maskId})">${canvasLayer}</g>`;
+    } else {
+      canvasLayer += strokeToSvg(object, colorAttr(object.color));
+    }
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${viewBox.width}" height="${viewBox.height}" ` +
+    `viewBox="${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}">` +
+    `<defs>${masks.join('')}</defs>` +
+    `<rect x="${viewBox.x}" y="${viewBox.y}" width="${viewBox.width}" height="${viewBox.height}" fill="#ffffff"/>` +
+    `<g>${backgroundLayer.join('')}</g>` +
+    `<g>${canvasLayer}</g>` +
+    `<g>${textLayer.join('')}</g>` +
+    '</svg>';
+};
+
+const FONT_OPTIONS = { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' };
+
+// Растеризация SVG; scale — желаемый масштаб, длинная сторона не больше MAX_RASTER_SIDE
+const renderPng = (svg, scale = 1) => {
+  const { width, height } = new Resvg(svg, { font: FONT_OPTIONS });
+  const zoom = Math.min(scale, MAX_RASTER_SIDE / Math.max(width, height));
+  const resvg = new Resvg(svg, { font: FONT_OPTIONS, fitTo: { mode: 'zoom', value: zoom } });
+  return resvg.render().asPng();
+};
+
+/**
+ * PDF из одной страницы размером с доску. Внутри — растр двойной плотности:
+ * так кириллица в тексте не зависит от шрифтов PDF.
+ */
+const renderPdf = (svg, title) => new Promise((resolve, reject) => {
+  const resvg = new Resvg(svg);
+  const width = resvg.width;
+  const height = resvg.height;
+  const png = renderPng(svg, 2);
+
+  const doc = new PDFDocument({ size: [width, height], margin: 0, info: { Title: title } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.image(png, 0, 0, { width, height });
+  doc.end();
+});
+
+module.exports = {
+  renderBoardSvg,
+  renderPng,
+  renderPdf
+};
@@ -0,0 +1,317 @@
+const check = require('./validation');
+const uploads = require('./uploads');
+
+// Объекты доски (штрихи, фигуры, тексты, картинки, заметки, рамки, связи): границы данных, правила
+// полей для схем событий и запросов и приведение данных объекта к виду,
+// в котором он хранится. Общие для сервера и scripts/board.js
+
+// Постоянные id объектов: новые объекты получают UUID на клиенте
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isValidObjectId = (id) => typeof id === 'string' && UUID_PATTERN.test(id);
+
+// Виды фигур, которые можно нарисовать на доске
+const SHAPE_KINDS = ['line', 'arrow', 'rect', 'ellipse', 'triangle'];
+
+// Положение и размер картинки на доске в логических единицах
+const MAX_IMAGE_SIDE = 20000;
+
+const isValidImageBox = (data) => (
+  ['x', 'y', 'width', 'height'].every(key => Number.isFinite(data[key])) &&
+  data.width > 0 && data.height > 0 &&
+  data.width <= MAX_IMAGE_SIDE && data.height <= MAX_IMAGE_SIDE
+);
+
+// Самый длинный штрих и самый длинный текст
+const MAX_STROKE_POINTS = 20000;
+const MAX_TEXT_LENGTH = 5000;
+
+// Оформление текста: ключи шрифтов (сами шрифты — в main.html и lib/export.js),
+// выравнивание и формат (обычный текст или Markdown с формулами)
+const TEXT_FONTS = ['sans', 'serif', 'mono', 'hand'];
+const TEXT_ALIGNS = ['left', 'center', 'right'];
+const TEXT_FORMATS = ['plain', 'markdown'];
+
+const isPoint = (point) => Boolean(point) && Number.isFinite(point.x) && Number.isFinite(point.y);
+
+// Границы данных клиента: координаты, толщина линий, поворот (радианы)
+// и длина ссылки на объект
+const MAX_COORDINATE = 1000000;
+const MAX_LINE_WIDTH = 1000;
+const MAX_ROTATION = 10000;
+const MAX_ID_LENGTH = 100;
+
+const OBJECT_TYPES = ['stroke', 'shape', 'text', 'image', 'note', 'frame', 'connector'];
+
+// Заметки, рамки и связи для мозговых штурмов и ретроспектив: длина текста заметки
+// и подписи рамки, цвета по умолчанию
+const MAX_NOTE_LENGTH = 1000;
+const MAX_FRAME_TITLE_LENGTH = 100;
+const NOTE_COLOR = '#fff59d';
+const FRAME_COLOR = '#e3f2fd';
+
+// Виды объектов, которые можно соединять связью
+const CONNECTABLE_TYPES = ['note', 'frame'];
+
+// Максимум объектов на доске
+const MAX_BOARD_OBJECTS = parseInt(process.env.MAX_BOARD_OBJECTS) || 10000;
+
+// Цвет из палитры (#rrggbb) или из стиля элемента (rgb(...), имя цвета)
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]*)$/i;
+
+// Правила полей объектов доски для схем событий и запросов (lib/validation.js)
+const coordinateField = check.number(-MAX_COORDINATE, MAX_COORDINATE);
+const colorField = check.pattern(COLOR_PATTERN, 64);
+const newObjectIdField = check.pattern(UUID_PATTERN, 36);
+// Старые объекты могут иметь id не в формате UUID
+const objectIdField = check.string(MAX_ID_LENGTH, 1);
+const pointField = check.object({
+  x: coordinateField,
+  y: coordinateField,
+  t: check.optional(check.number(0, Number.MAX_SAFE_INTEGER))
+});
+
+const STROKE_FIELDS = {
+  points: check.optional(check.arrayOf(pointField, MAX_STROKE_POINTS, 1)),
+  lineWidth: check.optional(check.positive(MAX_LINE_WIDTH))
+};
+
+const LINE_FIELDS = {
+  x1: check.optional(coordinateField),
+  y1: check.optional(coordinateField),
+  x2: check.optional(coordinateField),
+  y2: check.optional(coordinateField),
+  lineWidth: check.optional(check.positive(MAX_LINE_WIDTH)),
+  rotation: check.optional(check.number(-MAX_ROTATION, MAX_ROTATION))
+};
+
+const BOX_FIELDS = {
+  x: check.optional(coordinateField),
+  y: check.optional(coordinateField),
+  width: check.optional(check.positive(MAX_IMAGE_SIDE)),
+  height: check.optional(check.positive(MAX_IMAGE_SIDE)),
+  rotation: check.optional(check.number(-MAX_ROTATION, MAX_ROTATION))
+};
+
+const STYLE_FIELDS = {
+  color: check.optional(colorField),
+  fill: check.nullable(check.optional(colorField))
+};
+
+const TEXT_FIELDS = {
+  text: check.optional(check.string(MAX_TEXT_LENGTH)),
+  fontSize: check.optional(check.number(4, 400)),
+  fontFamily: check.optional(check.oneOf(TEXT_FONTS)),
+  bold: check.optional(check.boolean),
+  italic: check.optional(check.boolean),
+  align: check.optional(check.oneOf(TEXT_ALIGNS)),
+  format: check.optional(check.oneOf(TEXT_FORMATS))
+};
+
+// Голоса и скрытие заметки меняет только сервер, поэтому в схемах их нет
+const NOTE_FIELDS = {
+  text: check.optional(check.string(MAX_NOTE_LENGTH)),
+  color: check.optional(colorField)
+};
+
+const FRAME_FIELDS = {
+  title: check.optional(check.string(MAX_FRAME_TITLE_LENGTH)),
+  color: check.optional(colorField)
+};
+
+const CONNECTOR_FIELDS = {
+  from: check.optional(objectIdField),
+  to: check.optional(objectIdField)
+};
+
+// Объект любого вида целиком (вставка, /api/save); вид проверяет buildObjectData
+const OBJECT_FIELDS = {
+  id: newObjectIdField,
+  type: check.oneOf(OBJECT_TYPES),
+  shape: check.optional(check.oneOf(SHAPE_KINDS)),
+  url: check.optional(check.string(200)),
+  pinned: check.optional(check.boolean),
+  ...STROKE_FIELDS,
+  ...LINE_FIELDS,
+  ...BOX_FIELDS,
+  ...STYLE_FIELDS,
+  ...TEXT_FIELDS,
+  ...FRAME_FIELDS,
+  ...CONNECTOR_FIELDS
+};
+
+/**
+ * Геометрия объекта, которую меняют перенос, масштаб и поворот выделения.
+ * Поворот штрихов и линий уже учтен в координатах, у остальных — поле rotation
+ * (радианы вокруг центра). null — данные некорректны.
+ */
+const objectGeometry = (type, data) => {
+  const rotation = data.rotation === undefined ? 0 : data.rotation;
+  if (!Number.isFinite(rotation)) return null;
+
+  if (type === 'stroke') {
+    if (!Array.isArray(data.points) || data.points.length === 0 || data.points.length > MAX_STROKE_POINTS ||
+        !data.points.every(isPoint) || !(data.lineWidth > 0)) {
+      return null;
+    }
+    return {
+      points: data.points.map(point => (
+        Number.isFinite(point.t) ? { x: point.x, y: point.y, t: point.t } : { x: point.x, y: point.y }
+      )),
+      lineWidth: data.lineWidth
+    };
+  }
+
+  if (type === 'shape') {
+    if (!['x1', 'y1', 'x2', 'y2'].every(key => Number.isFinite(data[key])) || !(data.lineWidth > 0)) return null;
+    return { x1: data.x1, y1: data.y1, x2: data.x2, y2: data.y2, lineWidth: data.lineWidth, rotation };
+  }
+
+  if (type === 'text') {
+    if (!isValidImageBox(data)) return null;
+    const geometry = { x: data.x, y: data.y, width: data.width, height: data.height, rotation };
+    if (data.fontSize !== undefined) {
+      if (!(data.fontSize >= 4 && data.fontSize <= 400)) return null;
+      geometry.fontSize = data.fontSize;
+    }
+    return geometry;
+  }
+
+  if (type === 'image' || type === 'note' || type === 'frame') {
+    if (!isValidImageBox(data)) return null;
+    return { x: data.x, y: data.y, width: data.width, height: data.height, rotation };
+  }
+
+  // Своей геометрии у связи нет: ее концы — у соединенных объектов
+  if (type === 'connector') {
+    return {};
+  }
+
+  return null;
+};
+
+// Содержимое и оформление текста из данных клиента; null — данные некорректны
+const textContentData = (data) => {
+  if (typeof data.text !== 'string' || !data.text.trim() || data.text.length > MAX_TEXT_LENGTH) return null;
+  return {
+    text: data.text,
+    color: typeof data.color === 'string' ? data.color : '#000000',
+    fontFamily: TEXT_FONTS.includes(data.fontFamily) ? data.fontFamily : 'sans',
+    bold: Boolean(data.bold),
+    italic: Boolean(data.italic),
+    align: TEXT_ALIGNS.includes(data.align) ? data.align : 'left',
+    format: TEXT_FORMATS.includes(data.format) ? data.format : 'plain'
+  };
+};
+
+// Текст и цвет заметки; null — данные некорректны
+const noteContentData = (data) => {
+  if (typeof data.text !== 'string' || data.text.length > MAX_NOTE_LENGTH) return null;
+  return { text: data.text, color: typeof data.color === 'string' ? data.color : NOTE_COLOR };
+};
+
+// Подпись и цвет рамки; null — данные некорректны
+const frameContentData = (data) => {
+  const title = typeof data.title === 'string' ? data.title : '';
+  if (title.length > MAX_FRAME_TITLE_LENGTH) return null;
+  return { title, color: typeof data.color === 'string' ? data.color : FRAME_COLOR };
+};
+
+// Новый объект целиком (вставка, дубликат): внешний вид плюс геометрия.
+// Новая заметка — без голосов и не скрыта; скрывает ее сервер в режиме сбора мнений
+const buildObjectData = (type, data) => {
+  const geometry = objectGeometry(type, data);
+  if (!geometry) return null;
+
+  const color = typeof data.color === 'string' ? data.color : '#000000';
+  if (type === 'stroke') {
+    return { color, isEraser: false, ...geometry };
+  }
+  if (type === 'shape') {
+    return SHAPE_KINDS.includes(data.shape)
+      ? { shape: data.shape, color, fill: typeof data.fill === 'string' ? data.fill : null, ...geometry }
+      : null;
+  }
+  if (type === 'text') {
+    const content = textContentData(data);
+    return content ? { ...content, ...geometry } : null;
+  }
+  if (type === 'note') {
+    const content = noteContentData(data);
+    return content ? { ...content, votes: [], hidden: false, ...geometry } : null;
+  }
+  if (type === 'frame') {
+    const content = frameContentData(data);
+    return content ? { ...content, ...geometry } : null;
+  }
+  if (type === 'connector') {
+    const ends = [data.from, data.to];
+    if (!ends.every(end => typeof end === 'string' && end.length > 0 && end.length <= MAX_ID_LENGTH) || data.from === data.to) {
+      return null;
+    }
+    return { from: data.from, to: data.to, color, lineWidth: data.lineWidth > 0 ? data.lineWidth : 2 };
+  }
+  return uploads.uploadIdFromUrl(data.url) ? { url: data.url, pinned: false, ...geometry } : null;
+};
+
+// Скрытая заметка (режим сбора мнений) до раскрытия: текст и голоса видит только
+// автор, остальным достается пустая карточка с пометкой concealed.
+// viewer — имя получателя, null — рассылка всем на доске
+const concealObjectData = (type, data, viewer = null) => (
+  type === 'note' && data.hidden && data.owner !== viewer
+    ? { ...data, text: '', votes: [], concealed: true }
+    : data
+);
+
+// То же для строк drawings (REST, экспорт)
+const concealRows = (rows, viewer) => rows.map(row => (
+  row.type === 'note'
+    ? { ...row, data: JSON.stringify(concealObjectData(row.type, JSON.parse(row.data), viewer)) }
+    : row
+));
+
+module.exports = {
+  UUID_PATTERN,
+  isValidObjectId,
+  OBJECT_TYPES,
+  SHAPE_KINDS,
+  TEXT_FONTS,
+  TEXT_ALIGNS,
+  TEXT_FORMATS,
+  MAX_IMAGE_SIDE,
+  MAX_STROKE_POINTS,
+  MAX_TEXT_LENGTH,
+  MAX_NOTE_LENGTH,
+  MAX_FRAME_TITLE_LENGTH,
+  NOTE_COLOR,
+  FRAME_COLOR,
+  CONNECTABLE_TYPES,
+  MAX_COORDINATE,
+  MAX_LINE_WIDTH,
+  MAX_ROTATION,
+  MAX_ID_LENGTH,
+  MAX_BOARD_OBJECTS,
+  isValidImageBox,
+  isPoint,
+  coordinateField,
+  colorField,
+  newObjectIdField,
+  objectIdField,
+  pointField,
+  STROKE_FIELDS,
+  LINE_FIELDS,
+  BOX_FIELDS,
+  STYLE_FIELDS,
+  TEXT_FIELDS,
+  NOTE_FIELDS,
+  FRAME_FIELDS,
+  CONNECTOR_FIELDS,
+  OBJECT_FIELDS,
+  objectGeometry,
+  textContentData,
+  noteContentData,
+  frameContentData,
+  buildObjectData,
+  concealObjectData,
+  concealRows
+};
@@ -0,0 +1,37 @@
+/**
+ * Ограничитель частоты по схеме «корзина токенов»: на каждый ключ копится
+ * до burst токенов со скоростью rate в секунду, каждое действие тратит один.
+ * Так короткий всплеск проходит, а поток сверх rate — нет.
+ */
+const createRateLimiter = ({ rate, burst }) => {
+  const buckets = new Map();
+
+  // 0 — действие разрешено, иначе — сколько мс ждать следующего токена
+  const take = (key, now = Date.now()) => {
+    const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * rate);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      return Math.ceil((1 - bucket.tokens) / rate * 1000);
+    }
+    bucket.tokens -= 1;
+    return 0;
+  };
+
+  // Полные корзины ничем не отличаются от новых, их можно забыть
+  const prune = (now = Date.now()) => {
+    buckets.forEach((bucket, key) => {
+      if (bucket.tokens + (now - bucket.updatedAt) / 1000 * rate >= burst) {
+        buckets.delete(key);
+      }
+    });
+  };
+
+  return { take, prune };
+};
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,54 @@
+// Журнал действий на досках: входы и выходы, изменения объектов, очистки,
+// отказы по правам и неудачные входы. В отличие от консоли сервера записи
+// переживают перезапуск, по ним учитель разбирает, кто стер или испортил доску
+
+// Условия WHERE по необязательным фильтрам; from и to — время 'YYYY-MM-DD HH:MM:SS' в UTC
+const conditions = ({ username, type, boardId, from, to } = {}) => {
+  const where = [];
+  const params = [];
+  const add = (sql, value) => {
+    if (value === undefined || value === null) return;
+    where.push(sql);
+    params.push(value);
+  };
+
+  add('username = ?', username);
+  add('type = ?', type);
+  add('board_id = ?', boardId);
+  add('created_at >= ?', from);
+  add('created_at <= ?', to);
+
+  return { where: where.length > 0 ? ` WHERE ${where.join(' AND ')}` : '', params };
+};
+
+const createAudit = (db) => ({
+  // details — объект с подробностями события, хранится JSON-строкой
+  record: ({ type, boardId = null, username = null, objectId = null, details = null }) => db.run(
+    'INSERT INTO audit_events (type, board_id, username, object_id, details) VALUES (?, ?, ?, ?, ?)',
+    [type, boardId, username, objectId, details === null ? null : JSON.stringify(details)]
+  ),
+
+  // События по фильтрам, новые первыми
+  list: (filters, limit) => {
+    const { where, params } = conditions(filters);
+    return db.all(
+      `SELECT id, type, board_id, username, object_id, details, created_at
+       FROM audit_events${where} ORDER BY id DESC LIMIT ?`,
+      [...params, limit]
+    );
+  },
+
+  // Сводка активности: число событий каждого типа по пользователям
+  activity: (filters) => {
+    const { where, params } = conditions(filters);
+    return db.all(
+      `SELECT username, type, COUNT(*) AS count, MAX(created_at) AS last_at
+       FROM audit_events${where} GROUP BY username, type ORDER BY username ASC, type ASC`,
+      params
+    );
+  },
+
+  removeOlderThan: (time) => db.run('DELETE FROM audit_events WHERE created_at < ?', [time])
+});
+
+module.exports = createAudit;
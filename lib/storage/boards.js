@@ -0,0 +1,47 @@
+// Доски и права учеников на запись по доскам
+const createBoards = (db) => ({
+  find: (boardId) => db.get(
+    'SELECT id, name, created_by, created_at, locked, notes_hidden, revision FROM boards WHERE id = ?',
+    [boardId]
+  ),
+
+  // Ревизия — счетчик изменений доски; null — доски нет
+  revision: (boardId) => db.get('SELECT revision FROM boards WHERE id = ?', [boardId])
+    .then(row => (row ? row.revision : null)),
+
+  bumpRevision: (boardId) => db.run('UPDATE boards SET revision = revision + 1 WHERE id = ?', [boardId]),
+
+  // Все доски с числом пользователей онлайн
+  list: () => db.all(
+    `SELECT boards.id, boards.name, boards.created_by, boards.created_at, boards.locked,
+            COUNT(user_sessions.id) AS online
+     FROM boards LEFT JOIN user_sessions ON user_sessions.board_id = boards.id
+     GROUP BY boards.id, boards.name, boards.created_by, boards.created_at, boards.locked
+     ORDER BY boards.id ASC`
+  ),
+
+  // Новая доска; результат — ее id
+  create: (name, createdBy) => db.get(
+    'INSERT INTO boards (name, created_by) VALUES (?, ?) RETURNING id',
+    [name, createdBy]
+  ).then(row => row.id),
+
+  setLocked: (boardId, locked) => db.run('UPDATE boards SET locked = ? WHERE id = ?', [locked ? 1 : 0, boardId]),
+
+  setNotesHidden: (boardId, hidden) => db.run('UPDATE boards SET notes_hidden = ? WHERE id = ?', [hidden ? 1 : 0, boardId]),
+
+  permissions: (boardId) => db.all('SELECT username, can_write FROM board_permissions WHERE board_id = ?', [boardId]),
+
+  // canWrite: true/false — явное разрешение или запрет, null — как у всей доски
+  setPermission: (boardId, username, canWrite, updatedBy) => (canWrite === null
+    ? db.run('DELETE FROM board_permissions WHERE board_id = ? AND username = ?', [boardId, username])
+    : db.run(
+      `INSERT INTO board_permissions (board_id, username, can_write, updated_by, updated_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (board_id, username) DO UPDATE SET
+         can_write = excluded.can_write, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+      [boardId, username, canWrite ? 1 : 0, updatedBy]
+    ))
+});
+
+module.exports = createBoards;
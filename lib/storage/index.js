@@ -0,0 +1,54 @@
+const { openSqlite } = require('./sqlite');
+const { openPostgres } = require('./postgres');
+const createBoards = require('./boards');
+const createObjects = require('./objects');
+const createSessions = require('./sessions');
+const createAudit = require('./audit');
+
+// Доска, которая существует всегда и открывается по умолчанию
+const DEFAULT_BOARD_ID = 1;
+
+/**
+ * Настройки хранилища из окружения: DATABASE_URL (postgres://...) — PostgreSQL,
+ * общий для нескольких процессов сервера; иначе SQLite-файл DB_PATH
+ */
+const storageConfig = (env = process.env) => (env.DATABASE_URL
+  ? { client: 'postgres', connectionString: env.DATABASE_URL }
+  : { client: 'sqlite', filename: env.DB_PATH || './database.db' });
+
+const createRepositories = (query) => ({
+  boards: createBoards(query),
+  objects: createObjects(query),
+  sessions: createSessions(query),
+  audit: createAudit(query)
+});
+
+/**
+ * Хранилище сервера. Доски, объекты, сессии и журнал действий — через репозитории
+ * (storage.boards, storage.objects, storage.sessions, storage.audit), остальные таблицы —
+ * через run/get/all с плейсхолдерами ?. transaction(fn) выполняет fn
+ * с теми же методами на одном соединении
+ */
+const openStorage = async (config = storageConfig()) => {
+  const driver = config.client === 'postgres'
+    ? await openPostgres(config)
+    : await openSqlite(config);
+
+  return {
+    client: driver.client,
+    run: driver.run,
+    get: driver.get,
+    all: driver.all,
+    ...createRepositories(driver),
+    transaction: (fn) => driver.transaction(query => fn({ ...query, ...createRepositories(query) })),
+    migrate: () => driver.migrate({ defaultBoardId: DEFAULT_BOARD_ID }),
+    isUniqueViolation: driver.isUniqueViolation,
+    close: driver.close
+  };
+};
+
+module.exports = {
+  DEFAULT_BOARD_ID,
+  storageConfig,
+  openStorage
+};
@@ -0,0 +1,103 @@
+// Объекты досок (таблица drawings). Объект — { id, type, data } как в событиях
+// сокета; строка — запись таблицы: object_id, type, data (JSON), user_id, board_id
+const createObjects = (db) => ({
+  find: (boardId, objectId) => db.get(
+    'SELECT * FROM drawings WHERE board_id = ? AND object_id = ?',
+    [boardId, objectId]
+  ),
+
+  // Поиск по id без доски (REST: доска берется из найденной строки)
+  findById: (objectId) => db.get('SELECT * FROM drawings WHERE object_id = ?', [objectId]),
+
+  // Строки объекта (после миграции — не больше одной) для истории отмены
+  rows: (boardId, objectId) => db.all(
+    'SELECT * FROM drawings WHERE board_id = ? AND object_id = ? ORDER BY id ASC',
+    [boardId, objectId]
+  ),
+
+  // Содержимое доски в порядке появления
+  list: (boardId) => db.all('SELECT * FROM drawings WHERE board_id = ? ORDER BY created_at ASC, id ASC', [boardId]),
+
+  // Страница содержимого в том же порядке: limit строк после строки с id after
+  // (курсор). null — строки курсора уже нет: объект удален, и порядок потерян
+  page: async (boardId, { limit, after = null }) => {
+    if (after === null) {
+      return db.all(
+        'SELECT * FROM drawings WHERE board_id = ? ORDER BY created_at ASC, id ASC LIMIT ?',
+        [boardId, limit]
+      );
+    }
+
+    const cursor = await db.get('SELECT id FROM drawings WHERE id = ? AND board_id = ?', [after, boardId]);
+    if (!cursor) return null;
+
+    // Время курсора сравнивается в базе: в строках оно округлено до секунд
+    return db.all(
+      `SELECT * FROM drawings
+       WHERE board_id = ? AND (
+         created_at > (SELECT created_at FROM drawings WHERE id = ?)
+         OR (created_at = (SELECT created_at FROM drawings WHERE id = ?) AND id > ?)
+       )
+       ORDER BY created_at ASC, id ASC LIMIT ?`,
+      [boardId, after, after, after, limit]
+    );
+  },
+
+  strokes: (boardId) => db.all(
+    `SELECT * FROM drawings WHERE board_id = ? AND type = 'stroke' ORDER BY id ASC`,
+    [boardId]
+  ),
+
+  // Объекты доски одного вида (заметки, связи) в порядке появления
+  ofType: (boardId, type) => db.all(
+    'SELECT * FROM drawings WHERE board_id = ? AND type = ? ORDER BY created_at ASC, id ASC',
+    [boardId, type]
+  ),
+
+  count: (boardId) => db.get('SELECT COUNT(*) AS count FROM drawings WHERE board_id = ?', [boardId])
+    .then(row => row.count),
+
+  countAll: () => db.get('SELECT COUNT(*) AS count FROM drawings').then(row => row.count),
+
+  // Новый объект; повторный id отклоняется уникальным индексом
+  insert: (boardId, object, userId) => db.run(
+    'INSERT INTO drawings (object_id, type, data, user_id, board_id) VALUES (?, ?, ?, ?, ?)',
+    [object.id, object.type, JSON.stringify(object.data), userId, boardId]
+  ),
+
+  update: (boardId, objectId, data) => db.run(
+    'UPDATE drawings SET data = ? WHERE object_id = ? AND board_id = ?',
+    [JSON.stringify(data), objectId, boardId]
+  ),
+
+  remove: (boardId, objectId) => db.run(
+    'DELETE FROM drawings WHERE object_id = ? AND board_id = ?',
+    [objectId, boardId]
+  ),
+
+  clear: (boardId) => db.run('DELETE FROM drawings WHERE board_id = ?', [boardId]),
+
+  // Приведение объекта к сохраненным строкам с исходными id ([] — объекта не было)
+  restore: async (boardId, objectId, rows) => {
+    await db.run('DELETE FROM drawings WHERE board_id = ? AND object_id = ?', [boardId, objectId]);
+    for (const row of rows) {
+      await db.run(
+        'INSERT INTO drawings (id, object_id, type, data, user_id, board_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [row.id, row.object_id, row.type, row.data, row.user_id, row.board_id, row.created_at]
+      );
+    }
+  },
+
+  // Замена содержимого доски строками снимка (вызывается внутри транзакции)
+  replaceAll: async (boardId, rows) => {
+    await db.run('DELETE FROM drawings WHERE board_id = ?', [boardId]);
+    for (const row of rows) {
+      await db.run(
+        'INSERT INTO drawings (object_id, type, data, user_id, board_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [row.object_id, row.type, row.data, row.user_id, boardId, row.created_at]
+      );
+    }
+  }
+});
+
+module.exports = createObjects;
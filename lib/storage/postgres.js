@@ -0,0 +1,234 @@
+const pg = require('pg');
+
+// PostgreSQL — общее хранилище для нескольких процессов сервера (DATABASE_URL).
+// Запросы пишутся один раз для обеих баз: параметры — ?, вставка с id — RETURNING
+
+// COUNT и BIGSERIAL приходят строками, а сервер ждет чисел, как от SQLite
+pg.types.setTypeParser(pg.types.builtins.INT8, value => parseInt(value, 10));
+
+// Схема по версиям: применяются версии новее записанной в schema_migrations
+const MIGRATIONS = [
+  [
+    `CREATE TABLE boards (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      locked INTEGER NOT NULL DEFAULT 0
+    )`,
+    `CREATE TABLE drawings (
+      id SERIAL PRIMARY KEY,
+      object_id TEXT UNIQUE,
+      type TEXT NOT NULL,
+      data TEXT NOT NULL,
+      user_id TEXT,
+      board_id INTEGER NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_drawings_board ON drawings (board_id, created_at)',
+    `CREATE TABLE user_sessions (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      role TEXT NOT NULL,
+      socket_id TEXT UNIQUE,
+      board_id INTEGER NOT NULL,
+      hand_raised INTEGER NOT NULL DEFAULT 0,
+      connected_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE users (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE auth_tokens (
+      token TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      expires_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE snapshots (
+      id SERIAL PRIMARY KEY,
+      board_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      data TEXT NOT NULL,
+      object_count INTEGER NOT NULL DEFAULT 0,
+      is_auto INTEGER NOT NULL DEFAULT 0,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE board_permissions (
+      board_id INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      can_write INTEGER NOT NULL,
+      updated_by TEXT,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (board_id, username)
+    )`,
+    `CREATE TABLE messages (
+      id SERIAL PRIMARY KEY,
+      board_id INTEGER NOT NULL,
+      type TEXT NOT NULL DEFAULT 'user',
+      username TEXT,
+      role TEXT,
+      text TEXT NOT NULL,
+      mentions TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_messages_board ON messages (board_id, id)',
+    `CREATE TABLE uploads (
+      id TEXT PRIMARY KEY,
+      board_id INTEGER NOT NULL,
+      filename TEXT NOT NULL,
+      mime TEXT NOT NULL,
+      original_name TEXT,
+      page INTEGER,
+      size INTEGER,
+      width INTEGER,
+      height INTEGER,
+      uploaded_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE board_ops (
+      seq BIGSERIAL PRIMARY KEY,
+      board_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_board_ops_board ON board_ops (board_id, seq)',
+    `CREATE TABLE applied_ops (
+      op_id TEXT PRIMARY KEY,
+      user_id TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )`,
+    // Доска по умолчанию: первая строка таблицы получает id 1
+    `INSERT INTO boards (name, created_by) VALUES ('Общая доска', 'system')`
+  ],
+  [
+    // Ревизия доски растет с каждой операцией: по ней строится ETag состояния
+    'ALTER TABLE boards ADD COLUMN revision INTEGER NOT NULL DEFAULT 0',
+    // Явно для существующих досок: pg-mem в тестах не заполняет их значением по умолчанию
+    'UPDATE boards SET revision = 0'
+  ],
+  [
+    // Режим сбора мнений: новые заметки скрыты от остальных до раскрытия
+    'ALTER TABLE boards ADD COLUMN notes_hidden INTEGER NOT NULL DEFAULT 0',
+    'UPDATE boards SET notes_hidden = 0'
+  ],
+  [
+    // Журнал действий пользователей; details — JSON с подробностями события
+    `CREATE TABLE audit_events (
+      id SERIAL PRIMARY KEY,
+      type TEXT NOT NULL,
+      board_id INTEGER,
+      username TEXT,
+      object_id TEXT,
+      details TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX idx_audit_events_time ON audit_events (created_at)',
+    'CREATE INDEX idx_audit_events_user ON audit_events (username, created_at)'
+  ]
+];
+
+// Плейсхолдеры ? по порядку становятся $1, $2, ...
+const toPositional = (sql) => {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+};
+
+// Время в строках — как CURRENT_TIMESTAMP в SQLite: 'YYYY-MM-DD HH:MM:SS' в UTC
+const toSqlTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+const normalizeRow = (row) => {
+  Object.keys(row).forEach(key => {
+    if (row[key] instanceof Date) {
+      row[key] = toSqlTime(row[key]);
+    }
+  });
+  return row;
+};
+
+// Запросы через пул или через одно соединение (внутри транзакции)
+const createQuery = (client) => {
+  const execute = async (sql, params = []) => {
+    const result = await client.query(toPositional(sql), params);
+    return { rows: result.rows.map(normalizeRow), changes: result.rowCount };
+  };
+
+  return {
+    run: (sql, params) => execute(sql, params).then(result => ({ changes: result.changes })),
+    get: (sql, params) => execute(sql, params).then(result => result.rows[0]),
+    all: (sql, params) => execute(sql, params).then(result => result.rows)
+  };
+};
+
+/**
+ * Подключение к PostgreSQL по connectionString или через готовый пул
+ * (pg.Pool или совместимый с ним, например пул pg-mem в тестах)
+ */
+const openPostgres = async ({ connectionString, pool }) => {
+  const ownPool = !pool;
+  if (ownPool) {
+    pool = new pg.Pool({ connectionString });
+    // Время без пояса (снимки, журнал) записывается и читается в UTC
+    pool.on('connect', client => client.query(`SET TIME ZONE 'UTC'`));
+    pool.on('error', err => console.error('❌ PostgreSQL pool error:', err));
+  }
+
+  const query = createQuery(pool);
+  await query.get('SELECT 1 AS ok');
+  console.log('✅ Connected to PostgreSQL database');
+
+  const transaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const value = await fn(createQuery(client));
+      await client.query('COMMIT');
+      return value;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  const migrate = async () => {
+    const table = await query.get(
+      'SELECT table_name FROM information_schema.tables WHERE table_name = ?',
+      ['schema_migrations']
+    );
+    if (!table) {
+      await query.run('CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP)');
+    }
+
+    const { version } = await query.get('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+    for (let next = version + 1; next <= MIGRATIONS.length; next++) {
+      await transaction(async (tx) => {
+        for (const sql of MIGRATIONS[next - 1]) {
+          await tx.run(sql);
+        }
+        await tx.run('INSERT INTO schema_migrations (version) VALUES (?)', [next]);
+      });
+      console.log(`✅ Database schema migrated to version ${next}`);
+    }
+  };
+
+  return {
+    client: 'postgres',
+    ...query,
+    transaction,
+    migrate,
+    // 23505 — unique_violation
+    isUniqueViolation: (err) => Boolean(err) && err.code === '23505',
+    close: () => ownPool ? pool.end() : Promise.resolve()
+  };
+};
+
+module.exports = {
+  openPostgres
+};
@@ -0,0 +1,34 @@
+// Подключения пользователей к доскам: по одной записи на сокет.
+// Записи общие для всех процессов сервера, поэтому список онлайн и поднятые
+// руки видны независимо от того, к какому процессу подключен пользователь
+const createSessions = (db) => ({
+  // Вход на доску (и переход на другую): рука опускается
+  save: ({ socketId, username, role, boardId }) => db.run(
+    `INSERT INTO user_sessions (username, role, socket_id, board_id, hand_raised)
+     VALUES (?, ?, ?, ?, 0)
+     ON CONFLICT (socket_id) DO UPDATE SET
+       username = excluded.username, role = excluded.role,
+       board_id = excluded.board_id, hand_raised = 0, connected_at = CURRENT_TIMESTAMP`,
+    [username, role, socketId, boardId]
+  ),
+
+  find: (socketId) => db.get('SELECT * FROM user_sessions WHERE socket_id = ?', [socketId]),
+
+  listByBoard: (boardId) => db.all(
+    `SELECT username, role, socket_id, hand_raised, connected_at
+     FROM user_sessions WHERE board_id = ? ORDER BY connected_at DESC`,
+    [boardId]
+  ),
+
+  setHandRaised: (socketId, raised) => db.run(
+    'UPDATE user_sessions SET hand_raised = ? WHERE socket_id = ?',
+    [raised ? 1 : 0, socketId]
+  ),
+
+  remove: (socketId) => db.run('DELETE FROM user_sessions WHERE socket_id = ?', [socketId]),
+
+  // Сессии, которые не закрылись штатно (процесс сервера упал)
+  removeOlderThan: (time) => db.run('DELETE FROM user_sessions WHERE connected_at < ?', [time])
+});
+
+module.exports = createSessions;
@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3').verbose();
+
+// SQLite — хранилище по умолчанию: один файл рядом с сервером (DB_PATH),
+// :memory: — временная база (тесты). Подходит для одного процесса сервера
+
+// Таблицы в том виде, в каком их создавали первые версии сервера;
+// колонки, появившиеся позже, добавляет migrate
+const TABLES = {
+  // Рисунки и тексты
+  drawings: `
+    CREATE TABLE IF NOT EXISTS drawings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      data TEXT NOT NULL,
+      user_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  // Пользовательские сессии
+  user_sessions: `
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      role TEXT NOT NULL,
+      socket_id TEXT UNIQUE,
+      connected_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  // Учетные записи
+  users: `
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  // Токены авторизации
+  auth_tokens: `
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      token TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at TEXT NOT NULL
+    )
+  `,
+  // Доски (отдельные уроки)
+  boards: `
+    CREATE TABLE IF NOT EXISTS boards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  // Снимки (версии) досок: содержимое хранится JSON-массивом строк drawings
+  snapshots: `
+    CREATE TABLE IF NOT EXISTS snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      board_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      data TEXT NOT NULL,
+      object_count INTEGER NOT NULL DEFAULT 0,
+      is_auto INTEGER NOT NULL DEFAULT 0,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  // Права учеников на запись по доскам (переопределяют блокировку доски)
+  board_permissions: `
+    CREATE TABLE IF NOT EXISTS board_permissions (
+      board_id INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      can_write INTEGER NOT NULL,
+      updated_by TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (board_id, username)
+    )
+  `,
+  // Чат доски; системные сообщения (username = NULL) идут в тот же поток
+  messages: `
+    CREATE TABLE IF NOT EXISTS messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      board_id INTEGER NOT NULL,
+      type TEXT NOT NULL DEFAULT 'user',
+      username TEXT,
+      role TEXT,
+      text TEXT NOT NULL,
+      mentions TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  // Загруженные файлы; страница PDF — отдельная картинка с номером page
+  uploads: `
+    CREATE TABLE IF NOT EXISTS uploads (
+      id TEXT PRIMARY KEY,
+      board_id INTEGER NOT NULL,
+      filename TEXT NOT NULL,
+      mime TEXT NOT NULL,
+      original_name TEXT,
+      page INTEGER,
+      size INTEGER,
+      width INTEGER,
+      height INTEGER,
+      uploaded_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  // Журнал операций досок: seq — сквозной номер, по нему клиент догоняет пропущенное
+  board_ops: `
+    CREATE TABLE IF NOT EXISTS board_ops (
+      seq INTEGER PRIMARY KEY,
+      board_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  // Примененные операции клиентов: повтор той же операции после переподключения пропускается
+  applied_ops: `
+    CREATE TABLE IF NOT EXISTS applied_ops (
+      op_id TEXT PRIMARY KEY,
+      user_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  // Журнал действий пользователей; details — JSON с подробностями события
+  audit_events: `
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      board_id INTEGER,
+      username TEXT,
+      object_id TEXT,
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+};
+
+const openSqlite = ({ filename }) => {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(filename, (err) => {
+      if (err) return reject(err);
+      console.log('✅ Connected to SQLite database');
+      resolve(createDriver(db));
+    });
+  });
+};
+
+const createDriver = (db) => {
+  const run = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) return reject(err);
+        resolve({ changes: this.changes });
+      });
+    });
+  };
+
+  const get = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+  };
+
+  const all = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+  };
+
+  // Запросы внутри транзакции идут на соединение сразу
+  const query = { run, get, all };
+
+  // Соединение одно, и BEGIN внутри BEGIN — ошибка: транзакции идут строго по очереди.
+  // Запросы вне транзакции ждут ее COMMIT или ROLLBACK, иначе они выполнились бы
+  // внутри чужой транзакции и откатились бы вместе с ней
+  let transactions = Promise.resolve();
+  const queued = (method) => (sql, params) => transactions.then(() => method(sql, params));
+  const shared = { run: queued(run), get: queued(get), all: queued(all) };
+
+  const transaction = (fn) => {
+    const result = transactions.then(async () => {
+      await run('BEGIN TRANSACTION');
+      try {
+        const value = await fn(query);
+        await run('COMMIT');
+        return value;
+      } catch (err) {
+        await run('ROLLBACK');
+        throw err;
+      }
+    });
+    transactions = result.catch(() => {});
+    return result;
+  };
+
+  const close = () => new Promise((resolve, reject) => db.close(err => err ? reject(err) : resolve()));
+
+  return {
+    client: 'sqlite',
+    ...shared,
+    transaction,
+    migrate: (options) => migrate(shared, transaction, options),
+    isUniqueViolation: (err) => Boolean(err) && err.code === 'SQLITE_CONSTRAINT',
+    close
+  };
+};
+
+// Добавление колонки в существующую таблицу, если ее еще нет
+const ensureColumn = async (db, table, column, definition) => {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(col => col.name === column)) {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ Column ${table}.${column} added`);
+  }
+};
+
+// Создание таблиц и миграции для баз, созданных старыми версиями сервера
+const migrate = async (db, transaction, { defaultBoardId }) => {
+  for (const [table, sql] of Object.entries(TABLES)) {
+    try {
+      await db.run(sql);
+    } catch (err) {
+      console.error(`❌ Error creating ${table} table:`, err);
+      throw err;
+    }
+  }
+  console.log('✅ Database tables ready');
+
+  await ensureColumn(db, 'drawings', 'user_id', 'TEXT');
+  await ensureColumn(db, 'drawings', 'board_id', `INTEGER NOT NULL DEFAULT ${defaultBoardId}`);
+  await ensureColumn(db, 'user_sessions', 'board_id', `INTEGER NOT NULL DEFAULT ${defaultBoardId}`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_drawings_board ON drawings (board_id, created_at)');
+
+  // Все старые данные принадлежат доске по умолчанию
+  await db.run(
+    'INSERT OR IGNORE INTO boards (id, name, created_by) VALUES (?, ?, ?)',
+    [defaultBoardId, 'Общая доска', 'system']
+  );
+
+  await migrateSegmentsToStrokes(db, transaction);
+  await ensureColumn(db, 'boards', 'locked', 'INTEGER NOT NULL DEFAULT 0');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_messages_board ON messages (board_id, id)');
+
+  await ensureColumn(db, 'drawings', 'object_id', 'TEXT');
+  await backfillObjectIds(db);
+  await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_drawings_object ON drawings (object_id)');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_board_ops_board ON board_ops (board_id, seq)');
+
+  // Поднятая рука хранится в сессии: ее видят все процессы сервера
+  await ensureColumn(db, 'user_sessions', 'hand_raised', 'INTEGER NOT NULL DEFAULT 0');
+
+  // Ревизия доски растет с каждой операцией: по ней строится ETag состояния
+  await ensureColumn(db, 'boards', 'revision', 'INTEGER NOT NULL DEFAULT 0');
+
+  // Режим сбора мнений: новые заметки скрыты от остальных до раскрытия
+  await ensureColumn(db, 'boards', 'notes_hidden', 'INTEGER NOT NULL DEFAULT 0');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_audit_events_time ON audit_events (created_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_audit_events_user ON audit_events (username, created_at)');
+};
+
+// Склейка старых построчных сегментов ({from, to}) в цельные штрихи
+const migrateSegmentsToStrokes = async (db, transaction) => {
+  const segments = await db.all(`SELECT * FROM drawings WHERE type = 'drawing' ORDER BY board_id ASC, id ASC`);
+  if (segments.length === 0) return;
+
+  const strokes = [];
+  let current = null;
+
+  segments.forEach(row => {
+    let data;
+    try {
+      data = JSON.parse(row.data);
+    } catch (parseError) {
+      return;
+    }
+    if (!data.from || !data.to) return;
+
+    const isEraser = Boolean(data.isEraser);
+    const last = current && current.data.points[current.data.points.length - 1];
+
+    // Сегмент продолжает штрих, если совпадают автор, стиль и точка стыка
+    const continues = current &&
+      current.board_id === row.board_id &&
+      current.user_id === row.user_id &&
+      (current.strokeId || null) === (data.strokeId || null) &&
+      current.data.color === data.color &&
+      current.data.lineWidth === data.lineWidth &&
+      current.data.isEraser === isEraser &&
+      last.x === data.from.x && last.y === data.from.y;
+
+    if (continues) {
+      current.data.points.push({ x: data.to.x, y: data.to.y });
+      current.segmentIds.push(row.id);
+      return;
+    }
+
+    current = {
+      board_id: row.board_id,
+      user_id: row.user_id,
+      created_at: row.created_at,
+      strokeId: data.strokeId,
+      segmentIds: [row.id],
+      data: {
+        id: data.strokeId || crypto.randomUUID(),
+        points: [{ x: data.from.x, y: data.from.y }, { x: data.to.x, y: data.to.y }],
+        color: data.color,
+        lineWidth: data.lineWidth,
+        isEraser,
+        userId: data.userId || row.user_id,
+        timestamp: data.timestamp
+      }
+    };
+    strokes.push(current);
+  });
+
+  await transaction(async (tx) => {
+    for (const stroke of strokes) {
+      await tx.run(
+        'INSERT INTO drawings (type, data, user_id, board_id, created_at) VALUES (?, ?, ?, ?, ?)',
+        ['stroke', JSON.stringify(stroke.data), stroke.user_id, stroke.board_id, stroke.created_at]
+      );
+    }
+    await tx.run(`DELETE FROM drawings WHERE type = 'drawing'`);
+  });
+
+  console.log(`✅ Migrated ${segments.length} drawing segments into ${strokes.length} strokes`);
+};
+
+// Заполнение object_id у старых строк: берем id из данных, если он свободен
+const backfillObjectIds = async (db) => {
+  const rows = await db.all('SELECT id, data FROM drawings WHERE object_id IS NULL ORDER BY id ASC');
+  if (rows.length === 0) return;
+
+  const used = new Set(
+    (await db.all('SELECT object_id FROM drawings WHERE object_id IS NOT NULL')).map(row => row.object_id)
+  );
+
+  for (const row of rows) {
+    let data;
+    try {
+      data = JSON.parse(row.data);
+    } catch (parseError) {
+      data = {};
+    }
+    let objectId = data.id !== undefined && data.id !== null ? String(data.id) : null;
+    if (!objectId || used.has(objectId)) {
+      objectId = crypto.randomUUID();
+    }
+    used.add(objectId);
+
+    await db.run(
+      'UPDATE drawings SET object_id = ?, data = ? WHERE id = ?',
+      [objectId, JSON.stringify({ ...data, id: objectId }), row.id]
+    );
+  }
+
+  console.log(`✅ Object ids assigned to ${rows.length} stored elements`);
+};
+
+module.exports = {
+  openSqlite
+};
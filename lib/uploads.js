@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+// Каталог загруженных файлов (в .gitignore)
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+// Максимальный размер файла и число страниц PDF, которые превращаются в картинки
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024;
+const PDF_MAX_PAGES = 20;
+
+// Масштаб растеризации страниц PDF (72 dpi * 1.5 ≈ 108 dpi)
+const PDF_RENDER_SCALE = 1.5;
+
+// Предел картинки одной страницы. Маленький файл может объявить страницу
+// в несколько метров, и растр в полном масштабе занял бы гигабайты: такая
+// страница растеризуется мельче
+const PDF_MAX_PAGE_PIXELS = 8000000;
+const PDF_MAX_PAGE_SIDE = 10000;
+
+// Допустимые типы определяются по сигнатуре файла, а не по имени и заголовкам клиента
+const FILE_TYPES = [
+  { mime: 'image/png', ext: 'png', test: (b) => b.length > 24 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+  { mime: 'image/jpeg', ext: 'jpg', test: (b) => b.length > 4 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: 'image/gif', ext: 'gif', test: (b) => b.length > 10 && ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+  { mime: 'image/webp', ext: 'webp', test: (b) => b.length > 30 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  { mime: 'application/pdf', ext: 'pdf', test: (b) => b.length > 5 && b.toString('ascii', 0, 5) === '%PDF-' }
+];
+
+const detectFileType = (buffer) => FILE_TYPES.find(type => type.test(buffer)) || null;
+
+// Адрес картинки на доске: /uploads/<uuid>.<ext> (PDF на доску попадает только страницами)
+const UPLOAD_URL_PATTERN = /^\/uploads\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.(png|jpg|gif|webp)$/;
+
+const uploadIdFromUrl = (url) => {
+  const match = typeof url === 'string' && url.match(UPLOAD_URL_PATTERN);
+  return match ? match[1] : null;
+};
+
+// Размер JPEG — из первого маркера SOFn
+const jpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+const webpSize = (buffer) => {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  return null;
+};
+
+// Размеры картинки в пикселях по заголовку файла; null — файл поврежден
+const imageSize = (buffer, mime) => {
+  try {
+    if (mime === 'image/png') {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (mime === 'image/gif') {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (mime === 'image/jpeg') {
+      return jpegSize(buffer);
+    }
+    if (mime === 'image/webp') {
+      return webpSize(buffer);
+    }
+  } catch (error) {
+    return null;
+  }
+  return null;
+};
+
+// mupdf — ES-модуль с WebAssembly, загружается один раз при первом PDF
+let mupdfModule = null;
+const loadMupdf = () => {
+  if (!mupdfModule) {
+    mupdfModule = import('mupdf');
+  }
+  return mupdfModule;
+};
+
+// Масштаб страницы размером width × height pt: PDF_RENDER_SCALE, если растр
+// укладывается в пределы, иначе меньше
+const pageScale = (width, height) => Math.min(
+  PDF_RENDER_SCALE,
+  Math.sqrt(PDF_MAX_PAGE_PIXELS / (width * height)),
+  PDF_MAX_PAGE_SIDE / Math.max(width, height)
+);
+
+/**
+ * Страницы PDF в PNG: [{ png, width, height }]. Берутся первые PDF_MAX_PAGES
+ * страниц; битый файл или страница без площади — ошибка.
+ */
+const renderPdfPages = async (buffer) => {
+  const mupdf = await loadMupdf();
+  const document = mupdf.Document.openDocument(buffer, 'application/pdf');
+  const pages = [];
+
+  // Память WebAssembly сборщик мусора не освобождает: растр и страницы удаляются сразу
+  try {
+    const count = Math.min(document.countPages(), PDF_MAX_PAGES);
+    for (let i = 0; i < count; i++) {
+      const page = document.loadPage(i);
+      const [x0, y0, x1, y1] = page.getBounds();
+      const width = x1 - x0;
+      const height = y1 - y0;
+      if (!(width > 0 && height > 0)) {
+        page.destroy();
+        throw new Error(`page ${i + 1} has empty bounds`);
+      }
+
+      const scale = pageScale(width, height);
+      const pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false, true);
+      pages.push({ png: Buffer.from(pixmap.asPNG()), width: pixmap.getWidth(), height: pixmap.getHeight() });
+      pixmap.destroy();
+      page.destroy();
+    }
+  } finally {
+    document.destroy();
+  }
+
+  return pages;
+};
+
+// Имя файла на диске: id загрузки и расширение
+const storeFile = async (id, ext, buffer) => {
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  const filename = `${id}.${ext}`;
+  await fs.promises.writeFile(path.join(UPLOAD_DIR, filename), buffer);
+  return filename;
+};
+
+// Файл картинки по адресу на доске: { id, ext, mime, buffer };
+// null — адрес чужой или файла уже нет
+const readUpload = (url) => {
+  const match = typeof url === 'string' && url.match(UPLOAD_URL_PATTERN);
+  if (!match) return null;
+
+  const type = FILE_TYPES.find(fileType => fileType.ext === match[2]);
+  try {
+    const buffer = fs.readFileSync(path.join(UPLOAD_DIR, `${match[1]}.${match[2]}`));
+    return { id: match[1], ext: type.ext, mime: type.mime, buffer };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Картинка для серверного рендера (экспорт, превью версий) в виде data URI
+const readImageDataUri = (url) => {
+  const file = readUpload(url);
+  return file ? `data:${file.mime};base64,${file.buffer.toString('base64')}` : null;
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_MAX_BYTES,
+  detectFileType,
+  imageSize,
+  renderPdfPages,
+  storeFile,
+  uploadIdFromUrl,
+  readUpload,
+  readImageDataUri
+};
@@ -0,0 +1,91 @@
+// Проверка данных клиента по схемам. Схема объекта — { поле: правило },
+// правило проверяет значение и возвращает его очищенную копию.
+// Поля, которых нет в схеме, отбрасываются: обработчик видит только описанное
+
+const invalid = (field) => {
+  const error = new Error(`Некорректное поле «${field}»`);
+  error.field = field;
+  return error;
+};
+
+// Правило из проверки значения
+const rule = (test) => (value, field) => {
+  if (!test(value)) throw invalid(field);
+  return value;
+};
+
+const number = (min, max) => rule(value => Number.isFinite(value) && value >= min && value <= max);
+
+// Строго больше нуля (толщина, размеры, радиус)
+const positive = (max) => rule(value => Number.isFinite(value) && value > 0 && value <= max);
+
+const integer = (min, max) => rule(value => Number.isInteger(value) && value >= min && value <= max);
+
+const string = (max, min = 0) => rule(value => typeof value === 'string' && value.length >= min && value.length <= max);
+
+const pattern = (regex, max) => rule(value => typeof value === 'string' && value.length <= max && regex.test(value));
+
+const boolean = rule(value => typeof value === 'boolean');
+
+const oneOf = (values) => rule(value => values.includes(value));
+
+// Необязательное поле: без значения (или с null) в результат не попадает
+const optional = (inner) => (value, field) => (
+  value === undefined || value === null ? undefined : inner(value, field)
+);
+
+// Поле, где null — осмысленное значение (например, фигура без заливки)
+const nullable = (inner) => (value, field) => (value === null ? null : inner(value, field));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const object = (schema) => (value, field) => {
+  if (!isPlainObject(value)) throw invalid(field);
+
+  const result = {};
+  Object.entries(schema).forEach(([key, check]) => {
+    const checked = check(value[key], field ? `${field}.${key}` : key);
+    if (checked !== undefined) {
+      result[key] = checked;
+    }
+  });
+  return result;
+};
+
+const arrayOf = (inner, max, min = 0) => (value, field) => {
+  if (!Array.isArray(value) || value.length < min || value.length > max) throw invalid(field);
+  return value.map((item, index) => inner(item, `${field}[${index}]`));
+};
+
+/**
+ * Проверка значения по схеме объекта: { value } — очищенные данные,
+ * { error, field } — первое некорректное поле и текст ошибки для клиента.
+ */
+const validate = (value, schema) => {
+  if (!isPlainObject(value)) {
+    return { error: 'Некорректные данные', field: '' };
+  }
+
+  try {
+    return { value: object(schema)(value, '') };
+  } catch (error) {
+    if (error.field === undefined) throw error;
+    return { error: error.message, field: error.field };
+  }
+};
+
+module.exports = {
+  rule,
+  number,
+  positive,
+  integer,
+  string,
+  pattern,
+  boolean,
+  oneOf,
+  optional,
+  nullable,
+  object,
+  arrayOf,
+  validate
+};
@@ -0,0 +1,104 @@
+// Экспорт и импорт досок прямо в базе, без запущенного сервера:
+//
+//   node scripts/board.js export <id доски> [файл.json]
+//   node scripts/board.js import <файл.json> [--name "Название"]
+//
+// База — файл SQLite из --db, DB_PATH или ./database.db (DATABASE_URL — PostgreSQL).
+// Без файла экспорт печатает документ в stdout. Картинки берутся из каталога
+// загрузок сервера (UPLOAD_DIR) и записываются туда же
+const fs = require('fs');
+const path = require('path');
+const { openStorage, storageConfig } = require('../lib/storage');
+const boardDocument = require('../lib/document');
+
+const USAGE = `Использование:
+  node scripts/board.js export <id доски> [файл.json] [--db база.db]
+  node scripts/board.js import <файл.json> [--name "Название"] [--db база.db]`;
+
+// Журнал хранилища — в stderr: stdout может быть занят документом
+console.log = console.error;
+
+// Позиционные аргументы и --ключ значение
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+};
+
+const exportBoard = async (storage, [boardArg, file]) => {
+  const boardId = parseInt(boardArg);
+  if (!Number.isInteger(boardId) || boardId <= 0) {
+    throw new Error(USAGE);
+  }
+
+  const doc = await boardDocument.exportDocument(storage, boardId);
+  if (!doc) {
+    throw new Error(`Доска ${boardId} не найдена`);
+  }
+
+  const json = `${JSON.stringify(doc, null, 2)}\n`;
+  if (file) {
+    fs.writeFileSync(file, json);
+    console.error(`✅ Board ${boardId} exported to ${file} (${doc.objects.length} objects)`);
+  } else {
+    process.stdout.write(json);
+  }
+};
+
+const importBoard = async (storage, [file], options) => {
+  if (!file) {
+    throw new Error(USAGE);
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Не удалось прочитать ${file}: ${err.message}`);
+  }
+
+  const result = boardDocument.readDocument(doc);
+  if (result.error) {
+    throw new Error(`${path.basename(file)}: ${result.error}`);
+  }
+
+  const board = await boardDocument.importDocument(storage, result.value, {
+    createdBy: 'system',
+    name: options.name || result.value.board.name
+  });
+  console.error(`✅ Board "${board.name}" imported as board ${board.id} (${board.objects} objects)`);
+};
+
+const COMMANDS = {
+  export: exportBoard,
+  import: importBoard
+};
+
+const main = async () => {
+  const { positional: [command, ...args], options } = parseArgs(process.argv.slice(2));
+  if (!COMMANDS[command]) {
+    throw new Error(USAGE);
+  }
+
+  const config = options.db ? { client: 'sqlite', filename: options.db } : storageConfig();
+  const storage = await openStorage(config);
+  try {
+    await storage.migrate();
+    await COMMANDS[command](storage, args, options);
+  } finally {
+    await storage.close();
+  }
+};
+
+main().catch((err) => {
+  console.error(err.message.startsWith('Использование') ? err.message : `❌ ${err.message}`);
+  process.exitCode = 1;
+});
@@ -1,637 +1,3444 @@
-const express = require('express');
-const http = require('http');
-const socketIo = require('socket.io');
-const path = require('path');
-const sqlite3 = require('sqlite3').verbose();
-
-const app = express();
-const server = http.createServer(app);
-const io = socketIo(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"]
-  }
-});
-
-// Инициализация SQLite базы данных
-const db = new sqlite3.Database('./database.db', (err) => {
-  if (err) {
-    console.error('Error opening database:', err);
-    process.exit(1);
-  } else {
-    console.log('✅ Connected to SQLite database');
-  }
-});
-
-// Создание таблиц с улучшенной обработкой ошибок
-const initializeDatabase = () => {
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      // Таблица для рисунков и текстов
-      db.run(`
-        CREATE TABLE IF NOT EXISTS drawings (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          type TEXT NOT NULL,
-          data TEXT NOT NULL,
-          user_id TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `, (err) => {
-        if (err) {
-          console.error('❌ Error creating drawings table:', err);
-          reject(err);
-        } else {
-          console.log('✅ Drawings table ready');
-        }
-      });
-
-      // Таблица для пользовательских сессий
-      db.run(`
-        CREATE TABLE IF NOT EXISTS user_sessions (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          username TEXT NOT NULL,
-          role TEXT NOT NULL,
-          socket_id TEXT UNIQUE,
-          connected_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `, (err) => {
-        if (err) {
-          console.error('❌ Error creating user_sessions table:', err);
-          reject(err);
-        } else {
-          console.log('✅ User sessions table ready');
-          resolve();
-        }
-      });
-    });
-  });
-};
-
-app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
-
-// Базовые middleware для безопасности
-app.use((req, res, next) => {
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('X-Frame-Options', 'DENY');
-  next();
-});
-
-// Маршруты
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-app.get('/main.html', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'main.html'));
-});
-
-// Получение всех элементов с пагинацией
-app.get('/api/drawings', (req, res) => {
-  const limit = parseInt(req.query.limit) || 1000;
-  const offset = parseInt(req.query.offset) || 0;
-  
-  db.all(
-    'SELECT * FROM drawings ORDER BY created_at ASC LIMIT ? OFFSET ?', 
-    [limit, offset], 
-    (err, rows) => {
-      if (err) {
-        console.error('❌ Fetch error:', err);
-        return res.status(500).json({ error: 'Failed to fetch drawings' });
-      }
-      
-      try {
-        const drawings = rows.map(row => ({
-          id: row.id,
-          type: row.type,
-          data: JSON.parse(row.data),
-          user_id: row.user_id,
-          created_at: row.created_at
-        }));
-        res.json(drawings);
-      } catch (parseError) {
-        console.error('❌ JSON parse error:', parseError);
-        res.status(500).json({ error: 'Failed to parse drawings data' });
-      }
-    }
-  );
-});
-
-// Сохранение элемента в БД
-app.post('/api/save', (req, res) => {
-  const { type, data, userId } = req.body;
-  
-  if (!type || !data) {
-    return res.status(400).json({ success: false, error: 'Missing required fields' });
-  }
-  
-  try {
-    const dataString = JSON.stringify(data);
-    
-    db.run(
-      'INSERT INTO drawings (type, data, user_id) VALUES (?, ?, ?)',
-      [type, dataString, userId || 'unknown'],
-      function(err) {
-        if (err) {
-          console.error('❌ Save error:', err);
-          return res.status(500).json({ success: false, error: 'Database error' });
-        }
-        res.json({ success: true, id: this.lastID });
-      }
-    );
-  } catch (stringifyError) {
-    console.error('❌ JSON stringify error:', stringifyError);
-    res.status(400).json({ success: false, error: 'Invalid data format' });
-  }
-});
-
-// Очистка всех элементов (только для админа)
-app.delete('/api/clear', (req, res) => {
-  const { userId, role } = req.body;
-  
-  if (role !== 'Администратор') {
-    return res.status(403).json({ success: false, error: 'Только учитель может очистить доску' });
-  }
-
-  db.run('DELETE FROM drawings', (err) => {
-    if (err) {
-      console.error('❌ Clear error:', err);
-      return res.status(500).json({ success: false, error: 'Database error' });
-    }
-    
-    // Оповещаем всех через WebSocket
-    io.emit('clear');
-    res.json({ success: true });
-  });
-});
-
-// Удаление конкретного элемента
-app.delete('/api/drawing/:id', (req, res) => {
-  const { id } = req.params;
-  const { userId, role, owner } = req.body;
-
-  if (!id) {
-    return res.status(400).json({ success: false, error: 'Missing drawing ID' });
-  }
-
-  // Проверка прав: админ или владелец
-  if (role !== 'Администратор' && userId !== owner) {
-    return res.status(403).json({ success: false, error: 'Нет прав для удаления' });
-  }
-
-  db.run('DELETE FROM drawings WHERE id = ?', [id], function(err) {
-    if (err) {
-      console.error('❌ Delete error:', err);
-      return res.status(500).json({ success: false, error: 'Database error' });
-    }
-    
-    if (this.changes === 0) {
-      return res.status(404).json({ success: false, error: 'Drawing not found' });
-    }
-    
-    // Оповещаем всех через WebSocket
-    io.emit('textDelete', id);
-    res.json({ success: true });
-  });
-});
-
-// Получение информации о подключенных пользователях
-app.get('/api/users', (req, res) => {
-  db.all(
-    'SELECT username, role, connected_at FROM user_sessions ORDER BY connected_at DESC', 
-    (err, rows) => {
-      if (err) {
-        console.error('❌ Users fetch error:', err);
-        return res.status(500).json({ error: 'Failed to fetch users' });
-      }
-      res.json(rows);
-    }
-  );
-});
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  db.get('SELECT COUNT(*) as count FROM drawings', (err, row) => {
-    if (err) {
-      return res.status(500).json({ status: 'error', error: 'Database error' });
-    }
-    res.json({ 
-      status: 'ok', 
-      timestamp: new Date().toISOString(),
-      drawingsCount: row.count
-    });
-  });
-});
-
-// Real-time синхронизация через Socket.io
-io.on('connection', (socket) => {
-  console.log('👤 User connected:', socket.id);
-
-  // Обработка подключения пользователя
-  socket.on('user_join', (userData) => {
-    if (!userData || !userData.username) {
-      console.log('❌ Invalid user data received');
-      return;
-    }
-
-    socket.userData = {
-      ...userData,
-      socketId: socket.id,
-      joinedAt: new Date().toISOString()
-    };
-    
-    console.log(`✅ User ${userData.username} (${userData.role}) joined`);
-
-    // Сохраняем/обновляем информацию о пользователе в БД
-    db.run(
-      `INSERT OR REPLACE INTO user_sessions (username, role, socket_id) 
-       VALUES (?, ?, ?)`,
-      [userData.username, userData.role, socket.id],
-      (err) => {
-        if (err) {
-          console.error('❌ Error saving user session:', err);
-        } else {
-          console.log(`✅ User session saved for ${userData.username}`);
-        }
-      }
-    );
-
-    // Оповещаем всех о новом пользователе
-    socket.broadcast.emit('user_joined', {
-      username: userData.username,
-      role: userData.role,
-      message: `${userData.username} присоединился к доске`,
-      timestamp: new Date().toISOString()
-    });
-
-    // Отправляем текущий список пользователей
-    updateOnlineUsers();
-  });
-
-  // Обработка рисования
-  socket.on('drawing', (data) => {
-    if (!socket.userData) {
-      console.log('❌ Drawing from unauthorized user');
-      return;
-    }
-
-    if (!data || !data.from || !data.to) {
-      console.log('❌ Invalid drawing data');
-      return;
-    }
-
-    const drawingData = {
-      ...data,
-      timestamp: new Date().toISOString(),
-      userId: socket.userData.username
-    };
-
-    // Сохраняем в БД
-    db.run(
-      'INSERT INTO drawings (type, data, user_id) VALUES (?, ?, ?)',
-      ['drawing', JSON.stringify(drawingData), socket.userData.username],
-      (err) => {
-        if (err) {
-          console.error('❌ DB save error:', err);
-        }
-      }
-    );
-    
-    // Отправляем рисунок всем другим пользователям
-    socket.broadcast.emit('drawing', drawingData);
-  });
-
-  // Обработка создания текста
-  socket.on('text', (data) => {
-    if (!socket.userData) {
-      console.log('❌ Text creation from unauthorized user');
-      return;
-    }
-
-    if (!data || !data.text || !data.id) {
-      console.log('❌ Invalid text data');
-      return;
-    }
-
-    const textData = {
-      ...data,
-      timestamp: new Date().toISOString(),
-      userId: socket.userData.username
-    };
-
-    // Сохраняем в БД
-    db.run(
-      'INSERT INTO drawings (type, data, user_id) VALUES (?, ?, ?)',
-      ['text', JSON.stringify(textData), socket.userData.username],
-      (err) => {
-        if (err) {
-          console.error('❌ DB save error:', err);
-        }
-      }
-    );
-    
-    // Отправляем текст всем другим пользователям
-    socket.broadcast.emit('text', textData);
-  });
-
-  // Обработка обновления текста
-  socket.on('textUpdate', (data) => {
-    if (!socket.userData) {
-      console.log('❌ Text update from unauthorized user');
-      return;
-    }
-
-    if (!data || !data.id) {
-      console.log('❌ Invalid text update data');
-      return;
-    }
-
-    // Проверяем права на редактирование
-    const canEdit = socket.userData.role === 'Администратор' || 
-                   socket.userData.username === data.owner;
-
-    if (!canEdit) {
-      console.log(`❌ User ${socket.userData.username} tried to edit text without permission`);
-      socket.emit('error', { message: 'Нет прав для редактирования этого текста' });
-      return;
-    }
-
-    const updateData = {
-      ...data,
-      timestamp: new Date().toISOString(),
-      userId: socket.userData.username
-    };
-
-    // Обновляем текст в БД
-    db.run(
-      'UPDATE drawings SET data = ? WHERE id = ?',
-      [JSON.stringify(updateData), data.id],
-      (err) => {
-        if (err) {
-          console.error('❌ DB update error:', err);
-          socket.emit('error', { message: 'Ошибка при обновлении текста' });
-        }
-      }
-    );
-    
-    // Отправляем обновление всем пользователям
-    socket.broadcast.emit('textUpdate', updateData);
-  });
-
-  // Обработка перемещения/изменения размера текста
-  socket.on('textMove', (data) => {
-    if (!socket.userData) {
-      console.log('❌ Text move from unauthorized user');
-      return;
-    }
-
-    if (!data || !data.id) {
-      console.log('❌ Invalid text move data');
-      return;
-    }
-
-    // Проверяем права на перемещение
-    const canMove = socket.userData.role === 'Администратор' || 
-                   socket.userData.username === data.owner;
-
-    if (!canMove) {
-      console.log(`❌ User ${socket.userData.username} tried to move text without permission`);
-      socket.emit('error', { message: 'Нет прав для перемещения этого текста' });
-      return;
-    }
-
-    const moveData = {
-      ...data,
-      timestamp: new Date().toISOString(),
-      userId: socket.userData.username
-    };
-
-    // Сохраняем новое положение текста в БД
-    db.run(
-      'UPDATE drawings SET data = ? WHERE id = ?',
-      [JSON.stringify(moveData), data.id],
-      (err) => {
-        if (err) {
-          console.error('❌ DB update error:', err);
-          socket.emit('error', { message: 'Ошибка при перемещении текста' });
-        }
-      }
-    );
-    
-    // Отправляем новое положение всем пользователям
-    socket.broadcast.emit('textMove', moveData);
-  });
-
-  // Обработка удаления текста
-  socket.on('textDelete', (data) => {
-    if (!socket.userData) {
-      console.log('❌ Text delete from unauthorized user');
-      return;
-    }
-
-    if (!data || !data.id) {
-      console.log('❌ Invalid text delete data');
-      return;
-    }
-
-    // Проверяем права на удаление
-    const canDelete = socket.userData.role === 'Администратор' || 
-                     socket.userData.username === data.owner;
-
-    if (!canDelete) {
-      console.log(`❌ User ${socket.userData.username} tried to delete text without permission`);
-      socket.emit('error', { message: 'Нет прав для удаления этого текста' });
-      return;
-    }
-
-    // Удаляем текст из БД
-    db.run('DELETE FROM drawings WHERE id = ?', [data.id], (err) => {
-      if (err) {
-        console.error('❌ DB delete error:', err);
-        socket.emit('error', { message: 'Ошибка при удалении текста' });
-      }
-    });
-    
-    // Удаляем текст у всех пользователей
-    socket.broadcast.emit('textDelete', data.id);
-  });
-
-  // Обработка очистки доски
-  socket.on('clear', (userData) => {
-    if (!socket.userData) {
-      console.log('❌ Clear request from unauthorized user');
-      return;
-    }
-
-    // Проверяем права на очистку (только админ)
-    if (socket.userData.role !== 'Администратор') {
-      console.log(`❌ User ${socket.userData.username} tried to clear board without permission`);
-      socket.emit('clear_error', { message: 'Только учитель может очистить доску' });
-      return;
-    }
-
-    // Очищаем базу данных
-    db.run('DELETE FROM drawings', (err) => {
-      if (err) {
-        console.error('❌ DB clear error:', err);
-        socket.emit('clear_error', { message: 'Ошибка при очистке доски' });
-      } else {
-        console.log(`✅ Board cleared by ${socket.userData.username}`);
-        
-        // Очищаем доску у всех пользователей
-        io.emit('clear');
-        
-        // Отправляем уведомление о очистке
-        io.emit('notification', {
-          message: `${socket.userData.username} очистил доску`,
-          type: 'info',
-          timestamp: new Date().toISOString()
-        });
-      }
-    });
-  });
-
-  // Обработка ping/pong для проверки соединения
-  socket.on('ping', (data) => {
-    socket.emit('pong', { ...data, serverTime: new Date().toISOString() });
-  });
-
-  // Обработка отключения пользователя
-  socket.on('disconnect', (reason) => {
-    console.log(`👤 User disconnected: ${socket.id}, reason: ${reason}`);
-    
-    if (socket.userData) {
-      console.log(`📤 User ${socket.userData.username} disconnected`);
-
-      // Удаляем пользователя из БД
-      db.run('DELETE FROM user_sessions WHERE socket_id = ?', [socket.id], (err) => {
-        if (err) {
-          console.error('❌ Error removing user session:', err);
-        } else {
-          console.log(`✅ User session removed for ${socket.userData.username}`);
-        }
-      });
-
-      // Оповещаем об отключении
-      socket.broadcast.emit('user_left', {
-        username: socket.userData.username,
-        role: socket.userData.role,
-        message: `${socket.userData.username} покинул доску`,
-        timestamp: new Date().toISOString()
-      });
-
-      // Обновляем список пользователей
-      updateOnlineUsers();
-    }
-  });
-
-  // Обработка ошибок
-  socket.on('error', (error) => {
-    console.error('❌ Socket error:', error);
-  });
-});
-
-// Функция для обновления списка онлайн-пользователей
-function updateOnlineUsers() {
-  db.all(
-    'SELECT username, role, connected_at FROM user_sessions ORDER BY connected_at DESC', 
-    (err, rows) => {
-      if (err) {
-        console.error('❌ Error fetching online users:', err);
-      } else {
-        io.emit('online_users_update', rows);
-        console.log(`📊 Online users updated: ${rows.length} users`);
-      }
-    }
-  );
-}
-
-// Функция для периодической очистки старых сессий
-setInterval(() => {
-  const cutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 часа назад
-  db.run(
-    'DELETE FROM user_sessions WHERE connected_at < ?', 
-    [cutoffTime.toISOString()], 
-    function(err) {
-      if (err) {
-        console.error('❌ Error cleaning old sessions:', err);
-      } else if (this.changes > 0) {
-        console.log(`✅ Old sessions cleaned: ${this.changes} removed`);
-        updateOnlineUsers();
-      }
-    }
-  );
-}, 60 * 60 * 1000); // Каждый час
-
-// Функция для проверки состояния базы данных
-setInterval(() => {
-  db.get('SELECT COUNT(*) as count FROM drawings', (err, row) => {
-    if (err) {
-      console.error('❌ Database health check failed:', err);
-    } else {
-      console.log(`💾 Database health: ${row.count} drawings in storage`);
-    }
-  });
-}, 5 * 60 * 1000); // Каждые 5 минут
-
-// Graceful shutdown
-const gracefulShutdown = () => {
-  console.log('\n🔄 Shutting down server gracefully...');
-  
-  // Отключаем новых пользователей
-  server.close((err) => {
-    if (err) {
-      console.error('❌ Error during server close:', err);
-      process.exit(1);
-    }
-    
-    console.log('✅ HTTP server closed');
-    
-    // Отключаем все socket соединения
-    io.close(() => {
-      console.log('✅ Socket.IO server closed');
-      
-      // Закрываем базу данных
-      db.close((err) => {
-        if (err) {
-          console.error('❌ Error closing database:', err);
-          process.exit(1);
-        }
-        console.log('✅ Database connection closed');
-        process.exit(0);
-      });
-    });
-  });
-  
-  // Принудительное завершение через 10 секунд
-  setTimeout(() => {
-    console.log('❌ Forcing shutdown after timeout');
-    process.exit(1);
-  }, 10000);
-};
-
-process.on('SIGINT', gracefulShutdown);
-process.on('SIGTERM', gracefulShutdown);
-
-// Инициализация и запуск сервера
-const startServer = async () => {
-  try {
-    await initializeDatabase();
-    
-    const PORT = process.env.PORT || 3000;
-    server.listen(PORT, () => {
-      console.log(`\n🚀 Server running on port ${PORT}`);
-      console.log(`📱 Open http://localhost:${PORT} in your browser`);
-      console.log(`⚡ Socket.IO server ready for real-time communication`);
-      console.log(`💾 SQLite database connected and ready`);
-      console.log(`⏰ Server started at: ${new Date().toISOString()}`);
-    });
-  } catch (error) {
-    console.error('❌ Failed to start server:', error);
-    process.exit(1);
-  }
-};
-
-startServer();
-
-module.exports = { app, server, io, db };
+const express = require('express');
+const http = require('http');
+const socketIo = require('socket.io');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { openStorage, DEFAULT_BOARD_ID } = require('./lib/storage');
+const broker = require('./lib/broker');
+const boardExport = require('./lib/export');
+const uploads = require('./lib/uploads');
+const erase = require('./lib/erase');
+const check = require('./lib/validation');
+const boardObjects = require('./lib/objects');
+const boardDocument = require('./lib/document');
+const rateLimit = require('./lib/ratelimit');
+const auditLog = require('./lib/audit');
+
+// Самое большое сообщение сокета: вставка сотен объектов со штрихами
+const MAX_SOCKET_PAYLOAD = 1024 * 1024;
+
+// Самый большой документ доски при импорте: объекты вместе с картинками в base64
+const DOCUMENT_MAX_BYTES = parseInt(process.env.DOCUMENT_MAX_BYTES) || 50 * 1024 * 1024;
+
+const app = express();
+const server = http.createServer(app);
+const io = socketIo(server, {
+  maxHttpBufferSize: MAX_SOCKET_PAYLOAD,
+  cors: {
+    origin: "*",
+    methods: ["GET", "POST"]
+  }
+});
+
+// Хранилище (lib/storage) открывает startServer: SQLite по умолчанию,
+// PostgreSQL при DATABASE_URL. Обработчики работают только после запуска
+let storage = null;
+
+// Общая шина процессов сервера (lib/broker.js); null — процесс работает один
+let brokerConnection = null;
+
+// Роль с полными правами на доске
+const ADMIN_ROLE = 'Администратор';
+
+// Время жизни токена сессии (7 дней)
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Объекты доски: границы данных, правила полей и приведение данных (lib/objects.js)
+const {
+  isValidObjectId,
+  OBJECT_TYPES,
+  SHAPE_KINDS,
+  MAX_IMAGE_SIDE,
+  MAX_STROKE_POINTS,
+  MAX_LINE_WIDTH,
+  MAX_ID_LENGTH,
+  MAX_BOARD_OBJECTS,
+  isValidImageBox,
+  isPoint,
+  coordinateField,
+  colorField,
+  newObjectIdField,
+  objectIdField,
+  pointField,
+  STROKE_FIELDS,
+  LINE_FIELDS,
+  BOX_FIELDS,
+  STYLE_FIELDS,
+  TEXT_FIELDS,
+  NOTE_FIELDS,
+  FRAME_FIELDS,
+  OBJECT_FIELDS,
+  CONNECTABLE_TYPES,
+  objectGeometry,
+  textContentData,
+  noteContentData,
+  frameContentData,
+  buildObjectData,
+  concealObjectData,
+  concealRows
+} = boardObjects;
+
+// Пакетные операции над выделением
+const MAX_BATCH_OBJECTS = 500;
+
+// Ластик: радиус в единицах доски и режимы (целыми штрихами или по части штриха)
+const MAX_ERASER_RADIUS = 100;
+const ERASE_MODES = ['stroke', 'split'];
+
+// Поток точек штриха и незаконченные штрихи одного сокета. Столько же точек
+// пути принимает одно событие erase: длинный путь ластика клиент шлет частями
+const MAX_POINTS_PER_PACKET = 500;
+const MAX_ACTIVE_STROKES = 10;
+
+// Номер доски из запроса; без параметра — доска по умолчанию
+const parseBoardId = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_BOARD_ID;
+  }
+  const boardId = parseInt(value);
+  return Number.isInteger(boardId) && boardId > 0 ? boardId : null;
+};
+
+// Имя комнаты Socket.IO для доски
+const boardRoom = (boardId) => `board:${boardId}`;
+
+// Событие остальным процессам сервера через шину (io.on ниже их принимает);
+// без шины процесс работает один и сообщать некому
+const notifyServers = (event, ...args) => {
+  if (brokerConnection) {
+    io.serverSideEmit(event, ...args);
+  }
+};
+
+// Права на запись по доскам (boardId -> { locked, notesHidden, permissions, spotlight, objectCount }).
+// Кэш заполняется при входе на доску и меняется только через сервер
+// (другие процессы присылают изменения через шину), поэтому проверка
+// в обработчиках синхронная
+const boardAccess = new Map();
+
+const getBoardAccess = async (boardId) => {
+  if (boardAccess.has(boardId)) {
+    return boardAccess.get(boardId);
+  }
+
+  const board = await storage.boards.find(boardId);
+  const rows = await storage.boards.permissions(boardId);
+  const objectCount = await storage.objects.count(boardId);
+  const access = {
+    locked: Boolean(board && board.locked),
+    notesHidden: Boolean(board && board.notes_hidden),
+    permissions: new Map(rows.map(row => [row.username, Boolean(row.can_write)])),
+    spotlight: null,
+    objectCount
+  };
+  boardAccess.set(boardId, access);
+  return access;
+};
+
+// Другие процессы обновляют свой кэш прав доски, если он у них уже есть
+const shareBoardAccess = (boardId) => {
+  notifyServers('board_access', accessState(boardId));
+};
+
+// Учитель пишет всегда; у ученика явное разрешение или запрет важнее блокировки доски
+const canWrite = (userData, boardId) => {
+  if (userData.role === ADMIN_ROLE) return true;
+
+  const access = boardAccess.get(boardId);
+  if (!access) return false;
+
+  const permission = access.permissions.get(userData.username);
+  return permission === undefined ? !access.locked : permission;
+};
+
+// Состояние прав доски для клиентов
+const accessState = (boardId) => {
+  const access = boardAccess.get(boardId) || { locked: false, notesHidden: false, permissions: new Map(), spotlight: null };
+  return {
+    boardId,
+    locked: access.locked,
+    notesHidden: access.notesHidden,
+    permissions: Object.fromEntries(access.permissions),
+    spotlight: access.spotlight
+  };
+};
+
+const WRITE_DENIED_MESSAGE = 'Учитель не разрешил вам рисовать на этой доске';
+
+// Лимит объектов на доске (MAX_BOARD_OBJECTS). Счетчик в кэше прав пересчитывается после
+// каждой операции, поэтому одновременные вставки могут превысить лимит на несколько объектов
+const BOARD_FULL_MESSAGE = `На доске слишком много объектов (максимум ${MAX_BOARD_OBJECTS})`;
+
+const hasRoomFor = (boardId, count) => {
+  const access = boardAccess.get(boardId);
+  return !access || access.objectCount + count <= MAX_BOARD_OBJECTS;
+};
+
+const refreshObjectCount = async (boardId) => {
+  const access = boardAccess.get(boardId);
+  if (!access) return;
+  access.objectCount = await storage.objects.count(boardId);
+};
+
+// История действий для undo/redo: у каждого пользователя своя на каждой доске
+const actionHistories = new Map();
+const HISTORY_LIMIT = 100;
+
+const getHistory = (boardId, username) => {
+  const key = `${boardId}:${username}`;
+  if (!actionHistories.has(key)) {
+    actionHistories.set(key, { undo: [], redo: [], queue: Promise.resolve() });
+  }
+  return actionHistories.get(key);
+};
+
+// Сброс истории доски (после очистки отменять уже нечего) во всех процессах
+const dropBoardHistory = (boardId) => {
+  actionHistories.forEach((history, key) => {
+    if (key.startsWith(`${boardId}:`)) {
+      actionHistories.delete(key);
+    }
+  });
+};
+
+const resetBoardHistory = (boardId) => {
+  dropBoardHistory(boardId);
+  notifyServers('board_history_reset', boardId);
+};
+
+// Изменять объект может его автор или администратор;
+// закрепленный фон (картинка с pinned) — только администратор
+const canModifyObject = (userData, row) => {
+  if (userData.role === ADMIN_ROLE) return true;
+  if (row.type === 'image' && JSON.parse(row.data).pinned) return false;
+  return userData.username === row.user_id;
+};
+
+// Запись действия: state — строки объекта в БД до изменения ([] — объекта не было)
+const recordAction = (socket, kind, objectId, state) => {
+  pushHistoryAction(socket, { kind, id: objectId, state });
+};
+
+// Действие над выделением отменяется целиком: items — [{ kind, id, state }]
+const recordBatchAction = (socket, items) => {
+  pushHistoryAction(socket, items.length === 1 ? items[0] : { kind: 'batch', items });
+};
+
+const pushHistoryAction = (socket, action) => {
+  const history = getHistory(socket.boardId, socket.userData.username);
+  history.undo.push(action);
+  if (history.undo.length > HISTORY_LIMIT) {
+    history.undo.shift();
+  }
+  history.redo = [];
+};
+
+// Голоса и скрытие заметки — не правки автора: отмена возвращает текст и место
+// заметки, но не отменяет чужие голоса и не скрывает уже раскрытую заметку
+const keepNoteState = (state, current, notesHidden) => state.map(row => {
+  if (row.type !== 'note') return row;
+
+  const data = JSON.parse(row.data);
+  const currentRow = current.find(entry => entry.object_id === row.object_id);
+  const votes = currentRow ? JSON.parse(currentRow.data).votes : data.votes;
+  return { ...row, data: JSON.stringify({ ...data, votes, hidden: Boolean(data.hidden && notesHidden) }) };
+});
+
+// Шаг отмены/повтора: объект возвращается к состоянию из истории,
+// а текущее состояние уходит в противоположный стек
+const applyHistoryStep = (socket, direction) => {
+  const history = getHistory(socket.boardId, socket.userData.username);
+  const boardId = socket.boardId;
+
+  // Шаги одного пользователя выполняются строго по очереди
+  history.queue = history.queue.then(async () => {
+    const source = direction === 'undo' ? history.undo : history.redo;
+    const target = direction === 'undo' ? history.redo : history.undo;
+    const action = source.pop();
+
+    if (!action) {
+      return { success: false, error: direction === 'undo' ? 'Нечего отменять' : 'Нечего повторять' };
+    }
+
+    try {
+      const { notesHidden } = await getBoardAccess(boardId);
+      const items = [];
+      const reverted = [];
+      for (const item of action.items || [action]) {
+        const current = await storage.objects.rows(boardId, item.id);
+        const state = keepNoteState(item.state, current, notesHidden);
+        await storage.objects.restore(boardId, item.id, state);
+        items.push({ ...item, state });
+        reverted.push({ ...item, state: current });
+      }
+      target.push(action.items ? { ...action, items: reverted } : reverted[0]);
+
+      console.log(`↩️ ${socket.userData.username} ${direction} ${action.kind} ${action.id || `(${items.length} objects)`}`);
+      recordAudit(direction, {
+        boardId,
+        username: socket.userData.username,
+        objectId: action.items ? null : action.id,
+        details: action.items
+          ? { objects: items.map(item => ({ id: item.id, kind: item.kind })) }
+          : { kind: action.kind }
+      });
+
+      const changes = items.map(item => ({
+        kind: item.kind,
+        id: item.id,
+        rows: item.state.map(row => ({
+          id: row.object_id,
+          type: row.type,
+          data: concealObjectData(row.type, JSON.parse(row.data)),
+          user_id: row.user_id
+        }))
+      }));
+      publishOp(boardId, direction, action.items
+        ? { kind: 'batch', username: socket.userData.username, changes }
+        : { ...changes[0], username: socket.userData.username });
+      return { success: true };
+    } catch (err) {
+      console.error(`❌ ${direction} error:`, err);
+      source.push(action);
+      return { success: false, error: 'Ошибка при отмене действия' };
+    }
+  });
+
+  return history.queue;
+};
+
+// Снимок текущего содержимого доски; isAuto — снимок, сделанный сервером
+// перед разрушительным действием (очистка, восстановление)
+const createSnapshot = async (boardId, name, createdBy, isAuto = false) => {
+  const rows = (await storage.objects.list(boardId)).map(row => ({
+    object_id: row.object_id,
+    type: row.type,
+    data: row.data,
+    user_id: row.user_id,
+    created_at: row.created_at
+  }));
+  const snapshot = await storage.get(
+    'INSERT INTO snapshots (board_id, name, data, object_count, is_auto, created_by) VALUES (?, ?, ?, ?, ?, ?) RETURNING id',
+    [boardId, name, JSON.stringify(rows), rows.length, isAuto ? 1 : 0, createdBy]
+  );
+  console.log(`📸 Snapshot "${name}" of board ${boardId} saved (${rows.length} objects)`);
+  return { id: snapshot.id, board_id: boardId, name, object_count: rows.length, is_auto: isAuto ? 1 : 0, created_by: createdBy };
+};
+
+// Строки drawings в формате /api/drawings
+const toClientObjects = (rows) => rows.map(row => ({
+  id: row.object_id,
+  type: row.type,
+  data: JSON.parse(row.data),
+  user_id: row.user_id
+}));
+
+// Объект для рассылки всем на доске: скрытые заметки — без текста и голосов
+const concealObject = (object) => ({ ...object, data: concealObjectData(object.type, object.data) });
+
+// Концы связей — заметки или рамки этой доски, в том числе создаваемые тем же пакетом.
+// Результат — текст ошибки или null
+const checkConnectors = async (boardId, objects) => {
+  const created = new Map(objects.map(object => [object.id, object.type]));
+  for (const object of objects.filter(item => item.type === 'connector')) {
+    for (const end of [object.data.from, object.data.to]) {
+      const row = created.has(end) ? null : await storage.objects.find(boardId, end);
+      const type = created.has(end) ? created.get(end) : row && row.type;
+      if (!CONNECTABLE_TYPES.includes(type)) {
+        return 'Связь соединяет только заметки и рамки этой доски';
+      }
+    }
+  }
+  return null;
+};
+
+// Страницы содержимого доски: размер по умолчанию и наибольший
+const DEFAULT_PAGE_SIZE = 1000;
+const MAX_PAGE_SIZE = 5000;
+
+// Курсор страницы непрозрачен для клиента: внутри id последней отданной строки drawings
+const encodeCursor = (row) => Buffer.from(String(row.id)).toString('base64url');
+const decodeCursor = (value) => {
+  const id = Number(Buffer.from(String(value), 'base64url').toString());
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const parsePageSize = (value) => Math.min(Math.max(parseInt(value) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// Страница доски после курсора из query: { rows, nextCursor } (null — страница последняя)
+// или { status, error }, если курсор некорректен или его строки уже нет
+const readBoardPage = async (boardId, { limit, cursor }) => {
+  let after = null;
+  if (cursor !== undefined) {
+    after = decodeCursor(cursor);
+    if (after === null) {
+      return { status: 400, error: 'Некорректный курсор' };
+    }
+  }
+
+  // Строка сверх страницы показывает, есть ли продолжение
+  const size = parsePageSize(limit);
+  const rows = await storage.objects.page(boardId, { limit: size + 1, after });
+  if (rows === null) {
+    return { status: 409, error: 'Доска изменилась, начните загрузку сначала' };
+  }
+
+  const page = rows.slice(0, size);
+  return { rows: page, nextCursor: rows.length > size ? encodeCursor(page[page.length - 1]) : null };
+};
+
+// Хеширование пароля через scrypt, формат хранения: salt:hash
+const hashPassword = (password) => {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(`${salt}:${derivedKey.toString('hex')}`);
+    });
+  });
+};
+
+const verifyPassword = (password, storedHash) => {
+  return new Promise((resolve, reject) => {
+    const [salt, hash] = (storedHash || '').split(':');
+    if (!salt || !hash) return resolve(false);
+
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+};
+
+// Пароль первой учетной записи: из окружения или случайный, который
+// печатается один раз — известного всем пароля по умолчанию нет
+const initialPassword = (envName, username) => {
+  if (process.env[envName]) return process.env[envName];
+
+  const password = crypto.randomBytes(12).toString('base64url');
+  console.log(`🔑 Password for ${username}: ${password} (set ${envName} to choose your own)`);
+  return password;
+};
+
+// Учетные записи пустой базы: учитель admin (пароль ADMIN_PASSWORD) и,
+// если задан SEED_DEMO_USERS, демо-ученица (пароль STUDENT_PASSWORD)
+const seedDefaultUsers = async () => {
+  const row = await storage.get('SELECT COUNT(*) as count FROM users');
+  if (row.count > 0) return;
+
+  const defaultUsers = [
+    { username: 'admin', password: initialPassword('ADMIN_PASSWORD', 'admin'), role: ADMIN_ROLE }
+  ];
+  if (process.env.SEED_DEMO_USERS) {
+    defaultUsers.push({ username: 'ученица', password: initialPassword('STUDENT_PASSWORD', 'ученица'), role: 'Ученица' });
+  }
+
+  for (const user of defaultUsers) {
+    const passwordHash = await hashPassword(user.password);
+    await storage.run(
+      'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+      [user.username, passwordHash, user.role]
+    );
+  }
+  console.log(`✅ Default users created: ${defaultUsers.length}`);
+};
+
+// Поиск пользователя по действующему токену; null — токен неизвестен или истек
+const findUserByToken = async (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const user = await storage.get(
+    `SELECT users.id, users.username, users.role
+     FROM auth_tokens JOIN users ON users.id = auth_tokens.user_id
+     WHERE auth_tokens.token = ? AND auth_tokens.expires_at > ?`,
+    [token, new Date().toISOString()]
+  );
+  return user || null;
+};
+
+// Комнаты сокетов одного токена (выход) и одного пользователя (упоминания):
+// через них сервер находит сокеты и в других процессах. Токен в имя комнаты
+// не попадает — только его хеш
+const tokenRoom = (token) => `token:${crypto.createHash('sha256').update(token).digest('hex')}`;
+const userRoom = (username) => `user:${username}`;
+
+// Извлечение токена из заголовка Authorization: Bearer <token>
+const getRequestToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+// Middleware: пропускает только авторизованные запросы
+const authenticate = (req, res, next) => {
+  const token = getRequestToken(req);
+
+  findUserByToken(token).then((user) => {
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Требуется вход в систему' });
+    }
+    req.user = user;
+    req.authToken = token;
+    next();
+  }, (err) => {
+    console.error('❌ Auth lookup error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  });
+};
+
+// Частота действий: токенов в секунду и запас на всплеск (lib/ratelimit.js).
+// REST ограничивается по адресу (загрузки — по пользователю), события сокета — по пользователю
+const RATE_LIMITS = {
+  api: { rate: 20, burst: 100 },
+  login: { rate: 0.2, burst: 10 },
+  upload: { rate: 0.2, burst: 10 },
+  edit: { rate: 20, burst: 60 },
+  stream: { rate: 200, burst: 400 },
+  pointer: { rate: 30, burst: 60 },
+  chat: { rate: 1, burst: 5 },
+  control: { rate: 5, burst: 20 }
+};
+
+const rateLimiters = Object.fromEntries(
+  Object.entries(RATE_LIMITS).map(([name, limits]) => [name, rateLimit.createRateLimiter(limits)])
+);
+
+const RATE_LIMIT_MESSAGE = 'Слишком много действий, подождите немного';
+
+// Middleware: ограничение частоты запросов; ключ — пользователь, если он уже известен, иначе адрес
+const limitRequests = (name) => (req, res, next) => {
+  const key = req.user ? req.user.username : req.ip;
+  const wait = rateLimiters[name].take(key);
+  if (wait === 0) return next();
+
+  console.log(`❌ Rate limit ${name} exceeded by ${key}`);
+  res.set('Retry-After', String(Math.ceil(wait / 1000)));
+  res.status(429).json({ success: false, error: RATE_LIMIT_MESSAGE });
+};
+
+// Middleware: проверка тела запроса по схеме; дальше идут только описанные поля
+const validateBody = (schema) => (req, res, next) => {
+  const result = check.validate(req.body, schema);
+  if (result.error) {
+    console.log(`❌ Invalid ${req.method} ${req.path} body: ${result.field || 'payload'}`);
+    return res.status(400).json({ success: false, error: result.error });
+  }
+  req.body = result.value;
+  next();
+};
+
+// Номер доски в теле запроса или событии: число или строка с числом
+const boardIdField = check.optional(check.rule(value => (
+  (typeof value === 'number' || typeof value === 'string') && parseBoardId(value) !== null
+)));
+
+app.use(express.static(path.join(__dirname, 'public')));
+// Имена загрузок — случайные UUID, файлы не меняются после записи
+app.use('/uploads', express.static(uploads.UPLOAD_DIR, { maxAge: '7d', immutable: true }));
+
+// Библиотеки для текстов (Markdown, формулы, очистка HTML) отдаются из node_modules
+const VENDOR_DIRS = { marked: 'marked/lib', katex: 'katex/dist', dompurify: 'dompurify/dist' };
+Object.entries(VENDOR_DIRS).forEach(([name, dir]) => {
+  app.use(`/vendor/${name}`, express.static(path.join(__dirname, 'node_modules', dir), { maxAge: '1d' }));
+});
+// Объекты доски идут через сокет, REST принимает только небольшие тела.
+// Исключение — документ доски вместе с картинками: его разбирает сам маршрут
+// импорта, уже после ограничения частоты (limitRequests ниже), входа и проверки прав
+const IMPORT_PATH = '/api/boards/import';
+const parseJson = express.json({ limit: '100kb' });
+const parseDocument = express.json({ limit: DOCUMENT_MAX_BYTES });
+app.use((req, res, next) => (req.path === IMPORT_PATH ? next() : parseJson(req, res, next)));
+
+// Тело, которое не разбирается как JSON или больше лимита, получает ответ
+// того же вида, что и ошибка схемы, а не HTML-страницу Express
+const handleBodyError = (err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    console.log(`❌ Too large ${req.method} ${req.path} body`);
+    return res.status(413).json({ success: false, error: 'Слишком большой запрос' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    console.log(`❌ Malformed ${req.method} ${req.path} body`);
+    return res.status(400).json({ success: false, error: 'Некорректные данные' });
+  }
+  next(err);
+};
+app.use(handleBodyError);
+
+app.use('/api', limitRequests('api'));
+
+// Базовые middleware для безопасности
+app.use((req, res, next) => {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  next();
+});
+
+// Маршруты
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+app.get('/main.html', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'main.html'));
+});
+
+// Страница журнала действий; сами данные отдает /api/audit только учителю
+app.get('/audit.html', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'audit.html'));
+});
+
+// Вход: проверка пароля и выдача токена сессии
+app.post('/api/login', limitRequests('login'), validateBody({
+  username: check.string(100, 1),
+  password: check.string(200, 1)
+}), (req, res) => {
+  const { username, password } = req.body;
+
+  storage.get('SELECT * FROM users WHERE username = ?', [username]).then(async (user) => {
+    try {
+      const isValid = user && await verifyPassword(password, user.password_hash);
+      if (!isValid) {
+        console.log(`❌ Failed login attempt for ${username}`);
+        recordAudit('login_failed', { username, details: { ip: req.ip } });
+        return res.status(401).json({ success: false, error: 'Неверный логин или пароль' });
+      }
+    } catch (hashError) {
+      console.error('❌ Password check error:', hashError);
+      return res.status(500).json({ success: false, error: 'Authentication error' });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_MS).toISOString();
+
+    storage.run(
+      'INSERT INTO auth_tokens (token, user_id, expires_at) VALUES (?, ?, ?)',
+      [token, user.id, expiresAt]
+    ).then(() => {
+      console.log(`✅ User ${user.username} logged in`);
+      res.json({
+        success: true,
+        token,
+        expiresAt,
+        user: { username: user.username, role: user.role }
+      });
+    }, (insertErr) => {
+      console.error('❌ Token save error:', insertErr);
+      res.status(500).json({ success: false, error: 'Database error' });
+    });
+  }, (err) => {
+    console.error('❌ Login lookup error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  });
+});
+
+// Выход: отзыв токена и отключение его сокетов (в том числе в других процессах)
+app.post('/api/logout', authenticate, (req, res) => {
+  storage.run('DELETE FROM auth_tokens WHERE token = ?', [req.authToken]).then(() => {
+    io.in(tokenRoom(req.authToken)).disconnectSockets(true);
+
+    console.log(`📤 User ${req.user.username} logged out`);
+    res.json({ success: true });
+  }, (err) => {
+    console.error('❌ Logout error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  });
+});
+
+// Текущий пользователь по токену
+app.get('/api/me', authenticate, (req, res) => {
+  res.json({ username: req.user.username, role: req.user.role });
+});
+
+// Создание учетной записи (только для админа)
+app.post('/api/accounts', authenticate, validateBody({
+  username: check.string(100),
+  password: check.string(200),
+  role: check.optional(check.string(50))
+}), async (req, res) => {
+  const { username, password, role } = req.body || {};
+
+  if (req.user.role !== ADMIN_ROLE) {
+    return res.status(403).json({ success: false, error: 'Только учитель может создавать учетные записи' });
+  }
+
+  if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || password.length < 6) {
+    return res.status(400).json({ success: false, error: 'Укажите логин и пароль не короче 6 символов' });
+  }
+
+  try {
+    const passwordHash = await hashPassword(password);
+    storage.get(
+      'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?) RETURNING id',
+      [username.trim(), passwordHash, typeof role === 'string' && role ? role : 'Ученица']
+    ).then((user) => {
+      res.json({ success: true, id: user.id });
+    }, (err) => {
+      if (storage.isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, error: 'Такой логин уже существует' });
+      }
+      console.error('❌ Account create error:', err);
+      res.status(500).json({ success: false, error: 'Database error' });
+    });
+  } catch (hashError) {
+    console.error('❌ Password hash error:', hashError);
+    res.status(500).json({ success: false, error: 'Failed to create account' });
+  }
+});
+
+// Список досок
+app.get('/api/boards', authenticate, (req, res) => {
+  storage.boards.list().then(rows => res.json(rows), (err) => {
+    console.error('❌ Boards fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch boards' });
+  });
+});
+
+// Создание новой доски (только для админа)
+app.post('/api/boards', authenticate, validateBody({ name: check.string(200) }), (req, res) => {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+  if (req.user.role !== ADMIN_ROLE) {
+    return res.status(403).json({ success: false, error: 'Только учитель может создавать доски' });
+  }
+
+  if (!name || name.length > 100) {
+    return res.status(400).json({ success: false, error: 'Укажите название доски (до 100 символов)' });
+  }
+
+  storage.boards.create(name, req.user.username).then((id) => {
+    console.log(`✅ Board "${name}" created by ${req.user.username}`);
+    res.json({ success: true, board: { id, name, created_by: req.user.username } });
+  }, (err) => {
+    console.error('❌ Board create error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  });
+});
+
+// Документ доски (lib/document.js) для переноса на другой сервер
+app.get('/api/boards/:id/document', authenticate, async (req, res) => {
+  const boardId = parseBoardId(req.params.id);
+
+  if (!boardId) {
+    return res.status(400).json({ error: 'Invalid board ID' });
+  }
+
+  try {
+    const doc = await boardDocument.exportDocument(storage, boardId, { viewer: req.user.username });
+    if (!doc) {
+      return res.status(404).json({ error: 'Доска не найдена' });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="board-${boardId}-${date}.json"`);
+    res.json(doc);
+    console.log(`✅ Board ${boardId} document exported by ${req.user.username} (${doc.objects.length} objects)`);
+  } catch (err) {
+    console.error('❌ Document export error:', err);
+    res.status(500).json({ error: 'Не удалось экспортировать доску' });
+  }
+});
+
+// Текущее состояние доски для загрузки клиентом: последняя версия каждого объекта
+// (удаленные уже убраны) страницами по курсору. ETag — ревизия доски: пока доска
+// не менялась, повторный запрос с If-None-Match получает 304 без чтения объектов.
+// Ревизия меняется между страницами — загрузку стоит начать заново
+app.get('/api/boards/:id/state', authenticate, async (req, res) => {
+  const boardId = parseBoardId(req.params.id);
+
+  if (!boardId) {
+    return res.status(400).json({ error: 'Invalid board ID' });
+  }
+
+  try {
+    const revision = await storage.boards.revision(boardId);
+    if (revision === null) {
+      return res.status(404).json({ error: 'Доска не найдена' });
+    }
+
+    const etag = `"${boardId}-${revision}"`;
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'private, no-cache');
+    // Не req.fresh: он считает устаревшим любой запрос с Cache-Control: no-cache,
+    // а fetch добавляет его ко всем запросам с If-None-Match, заданным вручную
+    const known = (req.get('If-None-Match') || '').split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (known.includes(etag) || known.includes('*')) {
+      return res.status(304).end();
+    }
+
+    const page = await readBoardPage(boardId, req.query);
+    if (page.error) {
+      return res.status(page.status).json({ error: page.error });
+    }
+
+    res.json({ boardId, revision, objects: toClientObjects(concealRows(page.rows, req.user.username)), nextCursor: page.nextCursor });
+  } catch (err) {
+    console.error('❌ Board state error:', err);
+    res.status(500).json({ error: 'Не удалось загрузить доску' });
+  }
+});
+
+// Новая доска из документа (только для админа)
+// Право учителя проверяется до того, как тело документа будет прочитано
+const requireAdminToImport = (req, res, next) => {
+  if (req.user.role !== ADMIN_ROLE) {
+    return res.status(403).json({ success: false, error: 'Только учитель может создавать доски' });
+  }
+  next();
+};
+
+app.post(IMPORT_PATH, authenticate, requireAdminToImport, parseDocument, handleBodyError, async (req, res) => {
+  const result = boardDocument.readDocument(req.body);
+  if (result.error) {
+    console.log(`❌ Invalid board document from ${req.user.username}: ${result.error}`);
+    return res.status(400).json({ success: false, error: result.error });
+  }
+
+  try {
+    const board = await boardDocument.importDocument(storage, result.value, { createdBy: req.user.username });
+    console.log(`✅ Board "${board.name}" imported by ${req.user.username} (${board.objects} objects)`);
+    res.json({ success: true, board });
+  } catch (err) {
+    console.error('❌ Document import error:', err);
+    res.status(500).json({ success: false, error: 'Не удалось импортировать доску' });
+  }
+});
+
+// Форматы экспорта доски
+const EXPORT_FORMATS = {
+  svg: 'image/svg+xml; charset=utf-8',
+  png: 'image/png',
+  pdf: 'application/pdf'
+};
+
+// Экспорт доски в PNG, SVG или PDF (рендер на сервере по данным из БД)
+app.get('/api/boards/export', authenticate, async (req, res) => {
+  const boardId = parseBoardId(req.query.board);
+  const format = (req.query.format || 'png').toLowerCase();
+
+  if (!boardId) {
+    return res.status(400).json({ error: 'Invalid board ID' });
+  }
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: 'Формат экспорта: png, svg или pdf' });
+  }
+
+  try {
+    const board = await storage.boards.find(boardId);
+    if (!board) {
+      return res.status(404).json({ error: 'Доска не найдена' });
+    }
+
+    const rows = concealRows(await storage.objects.list(boardId), req.user.username);
+    const svg = boardExport.renderBoardSvg(rows, { resolveImage: uploads.readImageDataUri });
+
+    let body = svg;
+    if (format === 'png') {
+      body = boardExport.renderPng(svg);
+    } else if (format === 'pdf') {
+      body = await boardExport.renderPdf(svg, board.name);
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `board-${board.id}-${date}.${format}`;
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format],
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(body);
+    console.log(`✅ Board ${boardId} exported as ${format} by ${req.user.username}`);
+  } catch (error) {
+    console.error('❌ Export error:', error);
+    res.status(500).json({ error: 'Не удалось экспортировать доску' });
+  }
+});
+
+// Файл принимается в память: тип проверяется по содержимому до записи на диск
+const uploadFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: uploads.UPLOAD_MAX_BYTES, files: 1 }
+}).single('file');
+
+// Загрузка картинки или PDF для доски; каждая страница PDF становится картинкой.
+// На доску объекты добавляет клиент через событие image
+app.post('/api/uploads', authenticate, limitRequests('upload'), (req, res) => {
+  uploadFile(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      const tooLarge = uploadErr.code === 'LIMIT_FILE_SIZE';
+      console.log(`❌ Upload rejected: ${uploadErr.message}`);
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge
+          ? `Файл больше ${Math.round(uploads.UPLOAD_MAX_BYTES / 1024 / 1024)} МБ`
+          : 'Не удалось принять файл'
+      });
+    }
+
+    const boardId = parseBoardId(req.body && req.body.boardId);
+
+    if (!boardId) {
+      return res.status(400).json({ success: false, error: 'Invalid board ID' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Файл не выбран' });
+    }
+
+    const fileType = uploads.detectFileType(req.file.buffer);
+    if (!fileType) {
+      return res.status(415).json({ success: false, error: 'Можно загрузить только PNG, JPEG, GIF, WEBP или PDF' });
+    }
+
+    try {
+      const board = await storage.boards.find(boardId);
+      if (!board) {
+        return res.status(404).json({ success: false, error: 'Доска не найдена' });
+      }
+
+      await getBoardAccess(boardId);
+      if (!canWrite(req.user, boardId)) {
+        return res.status(403).json({ success: false, error: WRITE_DENIED_MESSAGE });
+      }
+
+      let images;
+      if (fileType.ext === 'pdf') {
+        try {
+          images = (await uploads.renderPdfPages(req.file.buffer))
+            .map((page, index) => ({ buffer: page.png, ext: 'png', mime: 'image/png', page: index + 1, ...page }));
+        } catch (pdfErr) {
+          console.log(`❌ Broken PDF from ${req.user.username}: ${pdfErr.message}`);
+          return res.status(400).json({ success: false, error: 'Не удалось прочитать PDF' });
+        }
+        if (images.length === 0) {
+          return res.status(400).json({ success: false, error: 'В PDF нет страниц' });
+        }
+      } else {
+        const size = uploads.imageSize(req.file.buffer, fileType.mime);
+        if (!size || !size.width || !size.height) {
+          return res.status(400).json({ success: false, error: 'Не удалось прочитать картинку' });
+        }
+        images = [{ buffer: req.file.buffer, ext: fileType.ext, mime: fileType.mime, page: null, ...size }];
+      }
+
+      const originalName = (req.file.originalname || '').slice(0, 255);
+      const result = [];
+      for (const image of images) {
+        const id = crypto.randomUUID();
+        const filename = await uploads.storeFile(id, image.ext, image.buffer);
+        await storage.run(
+          `INSERT INTO uploads (id, board_id, filename, mime, original_name, page, size, width, height, uploaded_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [id, boardId, filename, image.mime, originalName, image.page, image.buffer.length,
+            image.width, image.height, req.user.username]
+        );
+        result.push({ id, url: `/uploads/${filename}`, width: image.width, height: image.height, page: image.page });
+      }
+
+      console.log(`✅ ${req.user.username} uploaded ${fileType.ext} to board ${boardId} (${result.length} images)`);
+      res.json({ success: true, images: result });
+    } catch (err) {
+      console.error('❌ Upload error:', err);
+      res.status(500).json({ success: false, error: 'Ошибка при сохранении файла' });
+    }
+  });
+});
+
+// Список снимков доски (без содержимого)
+app.get('/api/snapshots', authenticate, (req, res) => {
+  const boardId = parseBoardId(req.query.board);
+
+  if (!boardId) {
+    return res.status(400).json({ error: 'Invalid board ID' });
+  }
+
+  storage.all(
+    `SELECT id, board_id, name, object_count, is_auto, created_by, created_at
+     FROM snapshots WHERE board_id = ? ORDER BY id DESC`,
+    [boardId]
+  ).then(rows => res.json(rows), (err) => {
+    console.error('❌ Snapshots fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch snapshots' });
+  });
+});
+
+// Именованный снимок текущего состояния доски (только для админа)
+app.post('/api/snapshots', authenticate, validateBody({
+  boardId: boardIdField,
+  name: check.string(200)
+}), async (req, res) => {
+  const boardId = parseBoardId(req.body.boardId);
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+  if (req.user.role !== ADMIN_ROLE) {
+    return res.status(403).json({ success: false, error: 'Только учитель может сохранять версии доски' });
+  }
+
+  if (!boardId) {
+    return res.status(400).json({ success: false, error: 'Invalid board ID' });
+  }
+
+  if (!name || name.length > 100) {
+    return res.status(400).json({ success: false, error: 'Укажите название версии (до 100 символов)' });
+  }
+
+  try {
+    const board = await storage.boards.find(boardId);
+    if (!board) {
+      return res.status(404).json({ success: false, error: 'Доска не найдена' });
+    }
+
+    const snapshot = await createSnapshot(boardId, name, req.user.username);
+    res.json({ success: true, snapshot });
+  } catch (err) {
+    console.error('❌ Snapshot create error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  }
+});
+
+// id снимка из адреса; PostgreSQL не сравнивает число со строкой, поэтому
+// нечисловой id превращается в 0, которого нет в таблице
+const snapshotIdParam = (req) => parseInt(req.params.id) || 0;
+
+// Превью снимка в SVG (тот же рендер, что и у экспорта)
+app.get('/api/snapshots/:id/preview', authenticate, async (req, res) => {
+  try {
+    const snapshot = await storage.get('SELECT data FROM snapshots WHERE id = ?', [snapshotIdParam(req)]);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Версия не найдена' });
+    }
+
+    const rows = concealRows(JSON.parse(snapshot.data), req.user.username);
+    res.type('image/svg+xml').send(boardExport.renderBoardSvg(rows, { resolveImage: uploads.readImageDataUri }));
+  } catch (err) {
+    console.error('❌ Snapshot preview error:', err);
+    res.status(500).json({ error: 'Не удалось построить превью' });
+  }
+});
+
+// Восстановление доски из снимка (только для админа); текущее состояние
+// перед этим тоже сохраняется, а всем на доске уходит новое содержимое целиком
+app.post('/api/snapshots/:id/restore', authenticate, async (req, res) => {
+  try {
+    const snapshot = await storage.get('SELECT * FROM snapshots WHERE id = ?', [snapshotIdParam(req)]);
+
+    // Отказ попадает в журнал той доски, версию которой пытались восстановить
+    if (req.user.role !== ADMIN_ROLE) {
+      recordAudit('denied', {
+        boardId: snapshot ? snapshot.board_id : null,
+        username: req.user.username,
+        details: { action: 'restore snapshot', snapshot: snapshotIdParam(req) }
+      });
+      return res.status(403).json({ success: false, error: 'Только учитель может восстанавливать версии доски' });
+    }
+
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: 'Версия не найдена' });
+    }
+
+    const boardId = snapshot.board_id;
+    const rows = JSON.parse(snapshot.data);
+
+    await createSnapshot(boardId, `Перед восстановлением «${snapshot.name}»`, req.user.username, true);
+    await storage.transaction(tx => tx.objects.replaceAll(boardId, rows));
+    resetBoardHistory(boardId);
+
+    console.log(`✅ Board ${boardId} restored from snapshot ${snapshot.id} by ${req.user.username}`);
+    recordAudit('restore', {
+      boardId,
+      username: req.user.username,
+      details: { snapshot: snapshot.id, name: snapshot.name, objects: rows.length }
+    });
+
+    // Доска заменена целиком: догонять ее по журналу бессмысленно, клиент перезагрузит доску
+    publishOp(boardId, 'board_state', {
+      boardId,
+      snapshot: { id: snapshot.id, name: snapshot.name },
+      objects: toClientObjects(rows).map(concealObject)
+    }, null, { event: 'board_reset', payload: null });
+    notifyBoard(boardId, `${req.user.username} восстановил версию «${snapshot.name}»`);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Snapshot restore error:', err);
+    res.status(500).json({ success: false, error: 'Не удалось восстановить версию' });
+  }
+});
+
+// Получение всех элементов доски. С limit или cursor — страница,
+// курсор следующей страницы приходит в заголовке X-Next-Cursor
+app.get('/api/drawings', authenticate, (req, res) => {
+  const boardId = parseBoardId(req.query.board);
+  const { limit, cursor } = req.query;
+
+  if (!boardId) {
+    return res.status(400).json({ error: 'Invalid board ID' });
+  }
+
+  const load = limit === undefined && cursor === undefined
+    ? storage.objects.list(boardId).then(rows => ({ rows, nextCursor: null }))
+    : readBoardPage(boardId, { limit, cursor });
+
+  load.then(({ rows, nextCursor, status, error }) => {
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+
+    try {
+      const drawings = concealRows(rows, req.user.username).map(row => ({
+        id: row.object_id,
+        type: row.type,
+        data: JSON.parse(row.data),
+        user_id: row.user_id,
+        board_id: row.board_id,
+        created_at: row.created_at
+      }));
+      res.json(drawings);
+    } catch (parseError) {
+      console.error('❌ JSON parse error:', parseError);
+      res.status(500).json({ error: 'Failed to parse drawings data' });
+    }
+  }, (err) => {
+    console.error('❌ Fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch drawings' });
+  });
+});
+
+// Максимальная длина сообщения чата
+const MESSAGE_MAX_LENGTH = 1000;
+
+// Сообщение из БД в формате событий chat_message
+const toClientMessage = (row) => ({
+  id: row.id,
+  boardId: row.board_id,
+  type: row.type,
+  username: row.username,
+  role: row.role,
+  text: row.text,
+  mentions: row.mentions ? JSON.parse(row.mentions) : [],
+  created_at: row.created_at
+});
+
+// Упоминания @имя, которые соответствуют существующим учетным записям
+const findMentions = async (text) => {
+  const names = [...new Set(Array.from(text.matchAll(/@([^\s@,.:;!?()]+)/gu), match => match[1]))];
+  if (names.length === 0) return [];
+
+  const rows = await storage.all(
+    `SELECT username FROM users WHERE username IN (${names.map(() => '?').join(', ')})`,
+    names
+  );
+  return rows.map(row => row.username);
+};
+
+// История чата доски: последние limit сообщений (до before, если указан), по возрастанию
+app.get('/api/messages', authenticate, (req, res) => {
+  const boardId = parseBoardId(req.query.board);
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const before = parseInt(req.query.before) || null;
+
+  if (!boardId) {
+    return res.status(400).json({ error: 'Invalid board ID' });
+  }
+
+  storage.all(
+    `SELECT * FROM messages WHERE board_id = ? ${before ? 'AND id < ?' : ''} ORDER BY id DESC LIMIT ?`,
+    before ? [boardId, before, limit] : [boardId, limit]
+  ).then(rows => res.json(rows.reverse().map(toClientMessage)), (err) => {
+    console.error('❌ Messages fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  });
+});
+
+// Момент появления объекта на доске в мс. У штриха timestamp — начало рисования,
+// у текста и фигуры timestamp меняется при правке, поэтому берется createdAt,
+// а для старых записей — created_at строки (SQLite хранит его в UTC)
+const objectCreatedAt = (row, data) => {
+  const value = row.type === 'stroke' ? (data.createdAt || data.timestamp) : data.createdAt;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? Date.parse(`${row.created_at.replace(' ', 'T')}Z`) : time;
+};
+
+// Граница периода из query: ISO-дата или миллисекунды
+const parseTimeParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+// Хронология доски для воспроизведения: объекты в порядке появления.
+// Объекты берутся в текущем состоянии — удаленные в хронологию не попадают
+app.get('/api/drawings/timeline', authenticate, (req, res) => {
+  const boardId = parseBoardId(req.query.board);
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+
+  if (!boardId) {
+    return res.status(400).json({ error: 'Invalid board ID' });
+  }
+
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'Некорректные границы периода (from, to)' });
+  }
+
+  storage.objects.list(boardId).then((rows) => {
+    const events = [];
+    concealRows(rows, req.user.username).forEach(row => {
+      let data;
+      try {
+        data = JSON.parse(row.data);
+      } catch (parseError) {
+        console.error(`❌ Timeline: broken data in object ${row.object_id}`);
+        return;
+      }
+
+      const time = objectCreatedAt(row, data);
+      if ((from !== undefined && time < from) || (to !== undefined && time > to)) return;
+
+      events.push({
+        id: row.object_id,
+        type: row.type,
+        data,
+        user_id: row.user_id,
+        time
+      });
+    });
+
+    // Сортировка стабильна, поэтому при равном времени сохраняется порядок вставки
+    events.sort((a, b) => a.time - b.time);
+
+    res.json({
+      board: boardId,
+      from: events.length > 0 ? events[0].time : null,
+      to: events.length > 0 ? events[events.length - 1].time : null,
+      events
+    });
+  }, (err) => {
+    console.error('❌ Timeline fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch timeline' });
+  });
+});
+
+// Сохранение элемента в БД: автор и права берутся из токена, данные проверяются
+// так же, как при вставке через сокет
+app.post('/api/save', authenticate, validateBody({
+  type: check.oneOf(OBJECT_TYPES),
+  data: check.object({ ...OBJECT_FIELDS, id: check.optional(newObjectIdField), type: check.optional(check.oneOf(OBJECT_TYPES)) }),
+  boardId: boardIdField
+}), async (req, res) => {
+  const { type } = req.body;
+  const boardId = parseBoardId(req.body.boardId);
+  const objectData = buildObjectData(type, req.body.data);
+
+  if (!objectData) {
+    return res.status(400).json({ success: false, error: 'Некорректные данные объекта' });
+  }
+
+  try {
+    const board = await storage.boards.find(boardId);
+    if (!board) {
+      return res.status(404).json({ success: false, error: 'Доска не найдена' });
+    }
+
+    const access = await getBoardAccess(boardId);
+    if (!canWrite(req.user, boardId)) {
+      recordAudit('denied', { boardId, username: req.user.username, details: { action: `save ${type}` } });
+      return res.status(403).json({ success: false, error: WRITE_DENIED_MESSAGE });
+    }
+    if (!hasRoomFor(boardId, 1)) {
+      return res.status(400).json({ success: false, error: BOARD_FULL_MESSAGE });
+    }
+
+    if (type === 'image') {
+      const upload = await storage.get('SELECT id FROM uploads WHERE id = ? AND board_id = ?', [uploads.uploadIdFromUrl(objectData.url), boardId]);
+      if (!upload) {
+        return res.status(404).json({ success: false, error: 'Файл не найден' });
+      }
+    }
+
+    const objectId = req.body.data.id || crypto.randomUUID();
+    const now = new Date().toISOString();
+    const data = {
+      id: objectId,
+      ...objectData,
+      owner: req.user.username,
+      createdAt: now,
+      timestamp: now,
+      userId: req.user.username
+    };
+
+    if (type === 'note') {
+      data.hidden = access.notesHidden;
+    }
+
+    const object = { id: objectId, type, data };
+    const connectorError = await checkConnectors(boardId, [object]);
+    if (connectorError) {
+      return res.status(400).json({ success: false, error: connectorError });
+    }
+    await storage.objects.insert(boardId, object, req.user.username);
+    recordAudit('create', { boardId, username: req.user.username, objectId, details: { kind: type } });
+
+    publishOp(boardId, 'objects_create', { objects: [concealObject(object)] });
+    res.json({ success: true, id: objectId });
+  } catch (err) {
+    console.error('❌ Save error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  }
+});
+
+// Очистка всех элементов (только для админа)
+app.delete('/api/clear', authenticate, validateBody({ boardId: boardIdField }), (req, res) => {
+  const boardId = parseBoardId(req.body.boardId);
+
+  if (req.user.role !== ADMIN_ROLE) {
+    recordAudit('denied', { boardId, username: req.user.username, details: { action: 'clear board' } });
+    return res.status(403).json({ success: false, error: 'Только учитель может очистить доску' });
+  }
+
+  createSnapshot(boardId, 'Перед очисткой', req.user.username, true)
+    .then(snapshot => storage.objects.clear(boardId).then(() => snapshot))
+    .then((snapshot) => {
+      resetBoardHistory(boardId);
+      recordAudit('clear', { boardId, username: req.user.username, details: { snapshot: snapshot.id, objects: snapshot.object_count } });
+
+      // Оповещаем всех на доске через WebSocket
+      publishOp(boardId, 'clear', null);
+      notifyBoard(boardId, 'Доска очищена');
+      res.json({ success: true });
+    })
+    .catch(err => {
+      console.error('❌ Clear error:', err);
+      res.status(500).json({ success: false, error: 'Database error' });
+    });
+});
+
+// Удаление конкретного элемента: права проверяются по автору из БД
+app.delete('/api/drawing/:id', authenticate, (req, res) => {
+  const { id } = req.params;
+
+  if (!id || id.length > MAX_ID_LENGTH) {
+    return res.status(400).json({ success: false, error: 'Missing drawing ID' });
+  }
+
+  storage.objects.findById(id).then(async (row) => {
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'Drawing not found' });
+    }
+
+    try {
+      await getBoardAccess(row.board_id);
+    } catch (accessErr) {
+      console.error('❌ Board access load error:', accessErr);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+
+    if (!canWrite(req.user, row.board_id) || !canModifyObject(req.user, row)) {
+      recordAudit('denied', { boardId: row.board_id, username: req.user.username, objectId: id, details: { action: `delete ${row.type}` } });
+      return res.status(403).json({ success: false, error: 'Нет прав для удаления' });
+    }
+
+    storage.objects.remove(row.board_id, id).then(() => {
+      recordAudit('delete', { boardId: row.board_id, username: req.user.username, objectId: id, details: { kind: row.type } });
+      // Оповещаем всех на доске через WebSocket
+      publishOp(row.board_id, 'objects_delete', { ids: [id] });
+      res.json({ success: true });
+    }, (deleteErr) => {
+      console.error('❌ Delete error:', deleteErr);
+      res.status(500).json({ success: false, error: 'Database error' });
+    });
+  }, (err) => {
+    console.error('❌ Delete lookup error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  });
+});
+
+// Получение информации о подключенных пользователях
+app.get('/api/users', authenticate, (req, res) => {
+  const boardId = parseBoardId(req.query.board);
+
+  if (!boardId) {
+    return res.status(400).json({ error: 'Invalid board ID' });
+  }
+
+  storage.sessions.listByBoard(boardId).then((rows) => {
+    res.json(rows.map(row => ({ username: row.username, role: row.role, connected_at: row.connected_at })));
+  }, (err) => {
+    console.error('❌ Users fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  });
+});
+
+// Журнал действий (только для админа): фильтры user, type, board, from, to (ISO 8601)
+// и limit. format=csv — файл для таблицы, иначе события и сводка по пользователям
+app.get('/api/audit', authenticate, async (req, res) => {
+  if (req.user.role !== ADMIN_ROLE) {
+    return res.status(403).json({ error: 'Журнал действий доступен только учителю' });
+  }
+
+  const query = auditLog.parseQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  const { filters, limit, format } = query.value;
+  try {
+    // События, записанные этим процессом до запроса, тоже попадают в выдачу
+    await Promise.all(auditWrites);
+    const events = (await storage.audit.list(filters, limit)).map(auditLog.toClientEvent);
+
+    if (format === 'csv') {
+      const date = new Date().toISOString().slice(0, 10);
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="audit-${date}.csv"`
+      });
+      return res.send(auditLog.toCsv(events));
+    }
+
+    const activity = await storage.audit.activity(filters);
+    res.json({ events, activity });
+  } catch (err) {
+    console.error('❌ Audit fetch error:', err);
+    res.status(500).json({ error: 'Не удалось загрузить журнал действий' });
+  }
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  storage.objects.countAll().then((count) => {
+    res.json({ 
+      status: 'ok', 
+      timestamp: new Date().toISOString(),
+      drawingsCount: count
+    });
+  }, () => {
+    res.status(500).json({ status: 'error', error: 'Database error' });
+  });
+});
+
+// Схемы событий сокета и группа ограничения частоты. Событие без схемы отбрасывается;
+// volatile — частые события, которые при превышении лимита просто теряются
+const OP_ID_FIELD = { opId: check.optional(newObjectIdField) };
+
+const SOCKET_EVENTS = {
+  sync: { limit: 'control', schema: { since: check.integer(0, Number.MAX_SAFE_INTEGER) } },
+  user_join: { limit: 'control', schema: { boardId: boardIdField } },
+  stroke_start: {
+    limit: 'edit',
+    schema: {
+      ...OP_ID_FIELD,
+      id: newObjectIdField,
+      point: pointField,
+      color: colorField,
+      lineWidth: check.positive(MAX_LINE_WIDTH),
+      isEraser: check.optional(check.boolean)
+    }
+  },
+  stroke_points: {
+    limit: 'stream',
+    schema: { ...OP_ID_FIELD, id: newObjectIdField, points: check.arrayOf(pointField, MAX_POINTS_PER_PACKET, 1) }
+  },
+  stroke_end: { limit: 'stream', schema: { ...OP_ID_FIELD, id: newObjectIdField } },
+  text: {
+    limit: 'edit',
+    schema: { ...OP_ID_FIELD, ...BOX_FIELDS, ...TEXT_FIELDS, id: newObjectIdField, color: check.optional(colorField) }
+  },
+  textUpdate: {
+    limit: 'edit',
+    schema: { ...OP_ID_FIELD, ...TEXT_FIELDS, id: objectIdField, color: check.optional(colorField) }
+  },
+  // Перемещение меняет только геометрию; текст и оформление — через textUpdate
+  textMove: {
+    limit: 'edit',
+    schema: { ...OP_ID_FIELD, ...BOX_FIELDS, id: objectIdField, fontSize: TEXT_FIELDS.fontSize }
+  },
+  textDelete: { limit: 'edit', schema: { ...OP_ID_FIELD, id: objectIdField } },
+  shape: {
+    limit: 'edit',
+    schema: {
+      ...OP_ID_FIELD,
+      ...LINE_FIELDS,
+      ...STYLE_FIELDS,
+      id: newObjectIdField,
+      shape: check.oneOf(SHAPE_KINDS),
+      lineWidth: check.positive(MAX_LINE_WIDTH)
+    }
+  },
+  shapeUpdate: {
+    limit: 'edit',
+    schema: { ...OP_ID_FIELD, ...LINE_FIELDS, ...STYLE_FIELDS, id: objectIdField, shape: check.optional(check.oneOf(SHAPE_KINDS)) }
+  },
+  shapeDelete: { limit: 'edit', schema: { ...OP_ID_FIELD, id: objectIdField } },
+  image: {
+    limit: 'edit',
+    schema: { ...OP_ID_FIELD, ...BOX_FIELDS, id: newObjectIdField, url: check.string(200), pinned: check.optional(check.boolean) }
+  },
+  imageUpdate: {
+    limit: 'edit',
+    schema: { ...OP_ID_FIELD, ...BOX_FIELDS, id: objectIdField, pinned: check.optional(check.boolean) }
+  },
+  imageDelete: { limit: 'edit', schema: { ...OP_ID_FIELD, id: objectIdField } },
+  noteUpdate: { limit: 'edit', schema: { ...OP_ID_FIELD, ...NOTE_FIELDS, id: objectIdField } },
+  frameUpdate: { limit: 'edit', schema: { ...OP_ID_FIELD, ...FRAME_FIELDS, id: objectIdField } },
+  note_vote: { limit: 'edit', schema: { ...OP_ID_FIELD, id: objectIdField } },
+  objects_create: {
+    limit: 'edit',
+    schema: { ...OP_ID_FIELD, objects: check.arrayOf(check.object(OBJECT_FIELDS), MAX_BATCH_OBJECTS, 1) }
+  },
+  objects_update: {
+    limit: 'edit',
+    schema: {
+      ...OP_ID_FIELD,
+      objects: check.arrayOf(check.object({
+        ...STROKE_FIELDS,
+        ...LINE_FIELDS,
+        ...BOX_FIELDS,
+        id: objectIdField,
+        fontSize: TEXT_FIELDS.fontSize
+      }), MAX_BATCH_OBJECTS, 1)
+    }
+  },
+  objects_delete: {
+    limit: 'edit',
+    schema: { ...OP_ID_FIELD, ids: check.arrayOf(objectIdField, MAX_BATCH_OBJECTS, 1) }
+  },
+  erase: {
+    limit: 'edit',
+    schema: {
+      ...OP_ID_FIELD,
+      mode: check.oneOf(ERASE_MODES),
+      path: check.arrayOf(pointField, MAX_POINTS_PER_PACKET, 1),
+      radius: check.positive(MAX_ERASER_RADIUS)
+    }
+  },
+  clear: { limit: 'edit', schema: OP_ID_FIELD },
+  undo: { limit: 'edit', schema: OP_ID_FIELD },
+  redo: { limit: 'edit', schema: OP_ID_FIELD },
+  board_lock: { limit: 'control', schema: { locked: check.optional(check.boolean) } },
+  notes_hidden: { limit: 'control', schema: { hidden: check.optional(check.boolean) } },
+  set_permission: {
+    limit: 'control',
+    schema: { username: check.string(50, 1), canWrite: check.optional(check.boolean) }
+  },
+  spotlight: { limit: 'control', schema: { username: check.optional(check.string(50)) } },
+  hand_raise: { limit: 'control', schema: { raised: check.optional(check.boolean) } },
+  lower_hand: { limit: 'control', schema: { socketId: check.string(MAX_ID_LENGTH, 1) } },
+  follow_teacher: { limit: 'control', schema: {} },
+  chat_message: { limit: 'chat', schema: { text: check.string(MESSAGE_MAX_LENGTH) } },
+  cursor: {
+    limit: 'pointer',
+    volatile: true,
+    schema: { x: coordinateField, y: coordinateField, drawing: check.optional(check.boolean) }
+  },
+  cursor_leave: { limit: 'pointer', volatile: true, schema: {} },
+  viewport: {
+    limit: 'pointer',
+    volatile: true,
+    schema: {
+      x: coordinateField,
+      y: coordinateField,
+      scale: check.positive(100),
+      width: check.positive(MAX_IMAGE_SIDE),
+      height: check.positive(MAX_IMAGE_SIDE)
+    }
+  },
+  ping: { limit: 'control', schema: { timestamp: check.optional(check.number(0, Number.MAX_SAFE_INTEGER)) } }
+};
+
+// О превышении лимита без ack сообщаем не чаще раза в 5 секунд
+const RATE_LIMIT_NOTICE_MS = 5000;
+
+// Авторизация сокетов: личность берется из токена, а не из данных клиента
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+
+  findUserByToken(token).then((user) => {
+    if (!user) {
+      return next(new Error('unauthorized'));
+    }
+
+    socket.authToken = token;
+    socket.userData = {
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      socketId: socket.id,
+      joinedAt: new Date().toISOString()
+    };
+    next();
+  }, (err) => {
+    console.error('❌ Socket auth error:', err);
+    next(new Error('server_error'));
+  });
+});
+
+// Real-time синхронизация через Socket.io
+io.on('connection', (socket) => {
+  console.log('👤 User connected:', socket.id);
+  socket.join([tokenRoom(socket.authToken), userRoom(socket.userData.username)]);
+
+  // Запись в журнал действий от имени пользователя сокета, по умолчанию — на текущей доске
+  const audit = (type, { boardId = socket.boardId, objectId = null, details = null } = {}) => {
+    recordAudit(type, { boardId, username: socket.userData.username, objectId, details });
+  };
+
+  // Действие над объектами ({ id, type }): у одного объекта — его id, у пакета — список
+  const auditObjects = (type, objects, boardId = socket.boardId) => audit(type, objects.length === 1
+    ? { boardId, objectId: objects[0].id, details: { kind: objects[0].type } }
+    : { boardId, details: { objects: objects.map(object => ({ id: object.id, kind: object.type })) } });
+
+  // Попытка действия без прав: в консоль и в журнал
+  const logDenied = (action, { write = false, objectId = null } = {}) => {
+    console.log(`❌ User ${socket.userData.username} tried to ${action} without ${write ? 'write ' : ''}permission`);
+    audit('denied', { objectId, details: { action } });
+  };
+
+  // Отказ в событии: ответ через ack, начатый штрих — через stroke_rejected
+  // (клиент уже нарисовал его у себя), иначе — событие error
+  const rejectPacket = (event, data, ack, message) => {
+    if (ack) {
+      ack({ success: false, error: message });
+    } else if (event === 'stroke_start' && data && isValidObjectId(data.id)) {
+      socket.emit('stroke_rejected', { id: data.id, message });
+    } else {
+      socket.emit('error', { message });
+    }
+  };
+
+  // Каждое событие проходит ограничение частоты и проверку схемы до обработчика.
+  // Обработчик получает очищенные данные вторым аргументом и ack — третьим
+  let lastLimitNotice = 0;
+  socket.use((packet, next) => {
+    const [event] = packet;
+    const spec = SOCKET_EVENTS[event];
+    const ack = typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+    const hasData = packet.length > 1 && packet[1] !== ack;
+    const data = hasData ? packet[1] : {};
+
+    if (!spec) {
+      console.log(`❌ Unknown event ${event} from ${socket.userData.username}`);
+      return;
+    }
+
+    if (rateLimiters[spec.limit].take(socket.userData.username) > 0) {
+      if (spec.volatile) return;
+
+      const now = Date.now();
+      const notify = now - lastLimitNotice >= RATE_LIMIT_NOTICE_MS;
+      if (notify) {
+        lastLimitNotice = now;
+        console.log(`❌ Rate limit ${spec.limit} exceeded by ${socket.userData.username}`);
+      }
+      if (notify || ack || event === 'stroke_start') {
+        rejectPacket(event, data, ack, RATE_LIMIT_MESSAGE);
+      }
+      return;
+    }
+
+    const result = check.validate(data, spec.schema);
+    if (result.error) {
+      console.log(`❌ Invalid ${event} from ${socket.userData.username}: ${result.field || 'payload'}`);
+      return rejectPacket(event, data, ack, result.error);
+    }
+
+    packet.splice(1, hasData ? 1 : 0, result.value);
+    next();
+  });
+
+  // Клиент повторяет неподтвержденные операции после переподключения; у каждой
+  // свой opId, и уже примененная операция только подтверждается. Проверка идет
+  // через БД, поэтому пакеты сокета пропускаются строго по очереди
+  let packetQueue = Promise.resolve();
+  socket.use((packet, next) => {
+    const [event, data] = packet;
+    const ack = typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+
+    packetQueue = packetQueue.then(() => {
+      if (!DEDUPED_EVENTS.includes(event) || !data || !isValidObjectId(data.opId)) {
+        return next();
+      }
+
+      // Повтор узнается по нарушению первичного ключа: число измененных строк
+      // после ON CONFLICT DO NOTHING pg-mem в тестах сообщает неверно
+      return storage.run('INSERT INTO applied_ops (op_id, user_id) VALUES (?, ?)', [data.opId, socket.userData.username])
+        .then(() => {
+          // Отклоненная обработчиком операция не считается примененной: повтор
+          // клиента выполнится заново. Повторяются только операции с ответом
+          if (ack) {
+            packet[packet.length - 1] = (response) => {
+              if (response && response.success) return ack(response);
+              storage.run('DELETE FROM applied_ops WHERE op_id = ?', [data.opId])
+                .catch(err => console.error('❌ Applied op release error:', err))
+                .then(() => ack(response));
+            };
+          }
+          next();
+        }, err => {
+          if (storage.isUniqueViolation(err)) {
+            console.log(`🔁 Duplicate ${event} ${data.opId} from ${socket.userData.username} skipped`);
+            if (ack) {
+              ack({ success: true, duplicate: true });
+            }
+            return;
+          }
+
+          // Неизвестно, записан ли opId: выполнить операцию значило бы рискнуть
+          // применить ее дважды, поэтому она отклоняется, как при любой ошибке БД
+          console.error('❌ Applied ops check error:', err);
+          rejectPacket(event, data, ack, 'Не удалось применить изменение, попробуйте еще раз');
+        });
+    });
+  });
+
+  // Догон после переподключения: операции доски после seq since.
+  // reset — журнал не покрывает пропуск, доску нужно загрузить целиком
+  socket.on('sync', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const since = data && data.since;
+
+    if (!socket.boardId) {
+      return reply({ success: false, error: 'Сначала нужно открыть доску' });
+    }
+    if (!Number.isInteger(since) || since < 0) {
+      return reply({ success: false, error: 'Некорректный номер операции' });
+    }
+
+    try {
+      await opWrites;
+      const range = await storage.get('SELECT MIN(seq) AS oldest, MAX(seq) AS latest FROM board_ops');
+      const latest = range.latest || 0;
+      const ops = await storage.all(
+        'SELECT seq, event, payload FROM board_ops WHERE board_id = ? AND seq > ? ORDER BY seq ASC LIMIT ?',
+        [socket.boardId, since, MAX_SYNC_OPS + 1]
+      );
+
+      const reset = since > latest ||
+        since + 1 < (range.oldest === null ? latest + 1 : range.oldest) ||
+        ops.length > MAX_SYNC_OPS ||
+        ops.some(op => op.event === 'board_reset');
+
+      console.log(`🔄 ${socket.userData.username} synced board ${socket.boardId} from ${since}: ${reset ? 'reset' : `${ops.length} ops`}`);
+      reply({
+        success: true,
+        reset,
+        latest,
+        ops: reset ? [] : ops.map(op => ({
+          seq: op.seq,
+          event: op.event,
+          payload: op.payload === null ? null : JSON.parse(op.payload)
+        }))
+      });
+    } catch (err) {
+      console.error('❌ Sync error:', err);
+      reply({ success: false, error: 'Не удалось получить пропущенные изменения' });
+    }
+  });
+
+  // Обработка подключения пользователя
+  socket.on('user_join', (joinData, ack) => {
+    // Имя и роль уже проверены при подключении, данные клиента игнорируются
+    const userData = socket.userData;
+    const boardId = parseBoardId(joinData && joinData.boardId);
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!boardId) {
+      console.log('❌ Invalid board ID received');
+      return reply({ success: false, error: 'Неверный номер доски' });
+    }
+
+    // Вход в комнату доски после проверки доски и загрузки прав;
+    // seq — последняя операция журнала, с нее клиент потом догоняет доску
+    const joinBoard = (board, seq) => {
+      // Переход с другой доски: покидаем ее комнату
+      const previousBoardId = socket.boardId;
+      if (previousBoardId && previousBoardId !== boardId) {
+        audit('leave', { boardId: previousBoardId });
+        socket.leave(boardRoom(previousBoardId));
+        releaseTeacherViewport(socket, previousBoardId);
+        socket.to(boardRoom(previousBoardId)).emit('user_left', {
+          socketId: socket.id,
+          username: userData.username,
+          role: userData.role,
+          message: `${userData.username} покинул доску`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      socket.boardId = boardId;
+      socket.join(boardRoom(boardId));
+
+      console.log(`✅ User ${userData.username} (${userData.role}) joined board ${boardId}`);
+      audit('join');
+
+      // Сохраняем/обновляем информацию о пользователе в БД
+      storage.sessions.save({ socketId: socket.id, username: userData.username, role: userData.role, boardId })
+        .then(
+          () => console.log(`✅ User session saved for ${userData.username}`),
+          (saveErr) => console.error('❌ Error saving user session:', saveErr)
+        )
+        .then(() => {
+          // Отправляем текущий список пользователей после сохранения сессии
+          if (previousBoardId && previousBoardId !== boardId) {
+            updateOnlineUsers(previousBoardId);
+          }
+          updateOnlineUsers(boardId);
+        });
+
+      // Оповещаем всех на доске о новом пользователе
+      socket.to(boardRoom(boardId)).emit('user_joined', {
+        socketId: socket.id,
+        username: userData.username,
+        role: userData.role,
+        message: `${userData.username} присоединился к доске`,
+        timestamp: new Date().toISOString()
+      });
+
+      socket.emit('permissions_update', accessState(boardId));
+      reply({ success: true, board: { id: board.id, name: board.name }, seq });
+    };
+
+    storage.boards.find(boardId).then((board) => {
+      if (!board) {
+        return reply({ success: false, error: 'Доска не найдена' });
+      }
+
+      return Promise.all([getBoardAccess(boardId), latestOpSeq()])
+        .then(([, seq]) => joinBoard(board, seq));
+    }).catch((err) => {
+      console.error('❌ Board lookup error:', err);
+      reply({ success: false, error: 'Ошибка базы данных' });
+    });
+  });
+
+  // Штрихи, которые пользователь рисует прямо сейчас (id -> данные)
+  socket.activeStrokes = new Map();
+
+  // Сохранение законченного штриха одной записью
+  const finishStroke = (strokeId) => {
+    const stroke = socket.activeStrokes.get(strokeId);
+    if (!stroke) return;
+    socket.activeStrokes.delete(strokeId);
+
+    const save = storage.objects.insert(stroke.boardId, { id: strokeId, type: 'stroke', data: stroke.data }, socket.userData.username)
+      .then(() => {
+        if (stroke.boardId === socket.boardId) {
+          recordAction(socket, 'stroke', strokeId, []);
+        }
+        auditObjects('create', [{ id: strokeId, type: 'stroke' }], stroke.boardId);
+        // После записи, как и остальные изменения: ревизия доски не должна опережать базу.
+        // В журнал штрих попадает целиком: пропустившему конец штриха нужны все точки
+        publishOp(stroke.boardId, 'stroke_end', { id: strokeId }, socket, {
+          event: 'objects_create',
+          payload: { objects: [{ id: strokeId, type: 'stroke', data: stroke.data }] }
+        });
+      }, (err) => {
+        console.error('❌ DB save error:', err);
+        socket.emit('error', { message: 'Ошибка при сохранении рисунка' });
+      });
+    strokeSaves.add(save);
+    save.finally(() => strokeSaves.delete(save));
+  };
+
+  // Начало штриха
+  socket.on('stroke_start', (data) => {
+    if (!socket.boardId) {
+      console.log('❌ Stroke from user outside a board');
+      return;
+    }
+
+    if (!data || !isValidObjectId(data.id) || !data.point || socket.activeStrokes.has(data.id)) {
+      console.log('❌ Invalid stroke data');
+      return;
+    }
+
+    // Клиент уже нарисовал штрих у себя — сообщаем, что его нужно убрать
+    if (!canWrite(socket.userData, socket.boardId)) {
+      logDenied('draw', { write: true });
+      socket.emit('stroke_rejected', { id: data.id, message: WRITE_DENIED_MESSAGE });
+      return;
+    }
+
+    // Ластик больше не рисует поверх: он стирает объекты событием erase
+    if (data.isEraser) {
+      console.log(`❌ User ${socket.userData.username} sent an eraser stroke`);
+      socket.emit('stroke_rejected', { id: data.id, message: 'Ластик изменился, обновите страницу' });
+      return;
+    }
+
+    if (socket.activeStrokes.size >= MAX_ACTIVE_STROKES) {
+      console.log(`❌ User ${socket.userData.username} has too many unfinished strokes`);
+      socket.emit('stroke_rejected', { id: data.id, message: 'Слишком много незаконченных штрихов' });
+      return;
+    }
+
+    if (!hasRoomFor(socket.boardId, 1)) {
+      socket.emit('stroke_rejected', { id: data.id, message: BOARD_FULL_MESSAGE });
+      return;
+    }
+
+    const strokeData = {
+      id: data.id,
+      points: [{ x: data.point.x, y: data.point.y, t: 0 }],
+      color: data.color,
+      lineWidth: data.lineWidth,
+      isEraser: false,
+      userId: socket.userData.username,
+      timestamp: new Date().toISOString()
+    };
+
+    socket.activeStrokes.set(data.id, { boardId: socket.boardId, startedAt: Date.now(), data: strokeData });
+    
+    // Остальные видят штрих сразу, еще до его завершения
+    socket.to(boardRoom(socket.boardId)).emit('stroke_start', strokeData);
+  });
+
+  // Новые точки рисуемого штриха
+  socket.on('stroke_points', (data) => {
+    const stroke = data && socket.activeStrokes.get(data.id);
+    if (!stroke || !Array.isArray(data.points)) {
+      console.log('❌ Invalid stroke points');
+      return;
+    }
+
+    // Штрих не растет бесконечно: точки сверх MAX_STROKE_POINTS отбрасываются
+    const room = MAX_STROKE_POINTS - stroke.data.points.length;
+    if (room <= 0) return;
+
+    // t — время точки в мс от начала штриха, нужно для воспроизведения
+    const t = Date.now() - stroke.startedAt;
+    const points = data.points.slice(0, room).map(point => ({ x: point.x, y: point.y, t }));
+    stroke.data.points.push(...points);
+
+    socket.to(boardRoom(stroke.boardId)).emit('stroke_points', { id: data.id, points });
+  });
+
+  // Завершение штриха: сохраняем его целиком
+  socket.on('stroke_end', (data) => {
+    if (!data || !data.id) {
+      console.log('❌ Invalid stroke end');
+      return;
+    }
+    finishStroke(data.id);
+  });
+
+  // Обработка создания текста
+  socket.on('text', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!socket.boardId) {
+      console.log('❌ Text creation from user outside a board');
+      return;
+    }
+
+    const content = data && isValidObjectId(data.id) && buildObjectData('text', data);
+    if (!content) {
+      console.log('❌ Invalid text data');
+      return reply({ success: false, error: 'Некорректные данные текста' });
+    }
+
+    if (!canWrite(socket.userData, socket.boardId)) {
+      logDenied('add text', { write: true });
+      return reply({ success: false, error: WRITE_DENIED_MESSAGE });
+    }
+
+    if (!hasRoomFor(socket.boardId, 1)) {
+      return reply({ success: false, error: BOARD_FULL_MESSAGE });
+    }
+
+    const boardId = socket.boardId;
+    const now = new Date().toISOString();
+    const textData = {
+      id: data.id,
+      ...content,
+      owner: socket.userData.username,
+      createdAt: now,
+      timestamp: now,
+      userId: socket.userData.username
+    };
+
+    // Сохраняем в БД; id объекта уникален, повторная вставка отклоняется
+    storage.objects.insert(boardId, { id: data.id, type: 'text', data: textData }, socket.userData.username)
+      .then(() => {
+        recordAction(socket, 'text', data.id, []);
+        auditObjects('create', [{ id: data.id, type: 'text' }]);
+        reply({ success: true, id: data.id });
+        
+        // Отправляем текст всем другим пользователям
+        publishOp(boardId, 'text', textData, socket);
+      }, (err) => {
+        console.error('❌ DB save error:', err);
+        reply({ success: false, error: 'Ошибка при сохранении текста' });
+      });
+  });
+
+  // Изменение сохраненного объекта (текста, фигуры, картинки): права и владелец
+  // берутся из строки в БД, а не из данных клиента
+  const modifyObject = (type, event, data, messages) => {
+    const boardId = socket.boardId;
+
+    if (!canWrite(socket.userData, boardId)) {
+      logDenied(event, { write: true });
+      return socket.emit('error', { message: WRITE_DENIED_MESSAGE });
+    }
+
+    storage.objects.find(boardId, data.id).then((row) => {
+      if (!row || row.type !== type) {
+        console.log(`❌ ${type} ${data.id} not found on board ${boardId}`);
+        return socket.emit('error', { message: messages.notFound });
+      }
+
+      if (!canModifyObject(socket.userData, row)) {
+        logDenied(event, { objectId: row.object_id });
+        return socket.emit('error', { message: messages.denied });
+      }
+
+      // opId нужен только защите от повтора: в данные объекта, рассылку
+      // и журнал операций он не попадает
+      const { opId, ...changes } = data;
+      const storedData = JSON.parse(row.data);
+      const newData = {
+        ...storedData,
+        ...changes,
+        id: row.object_id,
+        owner: storedData.owner || row.user_id,
+        createdAt: storedData.createdAt,
+        timestamp: new Date().toISOString(),
+        userId: socket.userData.username
+      };
+
+      return storage.objects.update(boardId, row.object_id, newData).then(() => {
+        // Прежнее состояние попадает в историю для отмены
+        recordAction(socket, type, row.object_id, [row]);
+        auditObjects(event === 'textMove' ? 'move' : 'edit', [{ id: row.object_id, type }]);
+        publishOp(boardId, event, concealObjectData(type, newData), socket);
+      }, (updateErr) => {
+        console.error('❌ DB update error:', updateErr);
+        socket.emit('error', { message: messages.failed });
+      });
+    }, (err) => {
+      console.error('❌ DB lookup error:', err);
+      socket.emit('error', { message: messages.failed });
+    });
+  };
+
+  // Удаление объекта автором или администратором
+  const deleteObject = (type, event, data, messages) => {
+    const boardId = socket.boardId;
+
+    if (!canWrite(socket.userData, boardId)) {
+      logDenied(event, { write: true });
+      return socket.emit('error', { message: WRITE_DENIED_MESSAGE });
+    }
+
+    storage.objects.find(boardId, data.id).then((row) => {
+      if (!row || row.type !== type) {
+        console.log(`❌ ${type} ${data.id} not found on board ${boardId}`);
+        return socket.emit('error', { message: messages.notFound });
+      }
+
+      // Проверяем права на удаление по сохраненному владельцу
+      if (!canModifyObject(socket.userData, row)) {
+        logDenied(event, { objectId: row.object_id });
+        return socket.emit('error', { message: messages.denied });
+      }
+
+      return storage.objects.remove(boardId, row.object_id).then(() => {
+        // Удаленный объект можно вернуть отменой
+        recordAction(socket, type, row.object_id, [row]);
+        auditObjects('delete', [{ id: row.object_id, type }]);
+        
+        // Удаляем объект у всех пользователей
+        publishOp(boardId, event, row.object_id, socket);
+      }, (deleteErr) => {
+        console.error('❌ DB delete error:', deleteErr);
+        socket.emit('error', { message: messages.failed });
+      });
+    }, (err) => {
+      console.error('❌ DB lookup error:', err);
+      socket.emit('error', { message: messages.failed });
+    });
+  };
+
+  // Обработка обновления текста
+  socket.on('textUpdate', (data) => {
+    if (!socket.boardId) {
+      console.log('❌ Text update from user outside a board');
+      return;
+    }
+
+    const content = data && data.id && textContentData(data);
+    if (!content) {
+      console.log('❌ Invalid text update data');
+      return;
+    }
+
+    // Поля оформления, которых нет в запросе, остаются прежними
+    const update = Object.fromEntries(Object.entries(content).filter(([key]) => data[key] !== undefined));
+
+    // Кегль меняется вместе с оформлением, остальная геометрия — через textMove.
+    // Диапазон уже проверен схемой события (TEXT_FIELDS)
+    if (data.fontSize !== undefined) {
+      update.fontSize = data.fontSize;
+    }
+
+    modifyObject('text', 'textUpdate', { id: data.id, ...update }, {
+      notFound: 'Текст не найден',
+      denied: 'Нет прав для редактирования этого текста',
+      failed: 'Ошибка при обновлении текста'
+    });
+  });
+
+  // Обработка перемещения/изменения размера текста
+  socket.on('textMove', (data) => {
+    if (!socket.boardId) {
+      console.log('❌ Text move from user outside a board');
+      return;
+    }
+
+    if (!data || !data.id) {
+      console.log('❌ Invalid text move data');
+      return;
+    }
+
+    modifyObject('text', 'textMove', data, {
+      notFound: 'Текст не найден',
+      denied: 'Нет прав для перемещения этого текста',
+      failed: 'Ошибка при перемещении текста'
+    });
+  });
+
+  // Обработка удаления текста
+  socket.on('textDelete', (data) => {
+    if (!socket.boardId) {
+      console.log('❌ Text delete from user outside a board');
+      return;
+    }
+
+    if (!data || !data.id) {
+      console.log('❌ Invalid text delete data');
+      return;
+    }
+
+    deleteObject('text', 'textDelete', data, {
+      notFound: 'Текст не найден',
+      denied: 'Нет прав для удаления этого текста',
+      failed: 'Ошибка при удалении текста'
+    });
+  });
+
+  // Создание фигуры (линия, стрелка, прямоугольник, эллипс, треугольник)
+  socket.on('shape', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!socket.boardId) {
+      console.log('❌ Shape creation from user outside a board');
+      return;
+    }
+
+    if (!data || !isValidObjectId(data.id) || !SHAPE_KINDS.includes(data.shape) ||
+        !['x1', 'y1', 'x2', 'y2'].every(key => Number.isFinite(data[key]))) {
+      console.log('❌ Invalid shape data');
+      return reply({ success: false, error: 'Некорректные данные фигуры' });
+    }
+
+    if (!canWrite(socket.userData, socket.boardId)) {
+      logDenied('add shape', { write: true });
+      return reply({ success: false, error: WRITE_DENIED_MESSAGE });
+    }
+
+    if (!hasRoomFor(socket.boardId, 1)) {
+      return reply({ success: false, error: BOARD_FULL_MESSAGE });
+    }
+
+    const boardId = socket.boardId;
+    const now = new Date().toISOString();
+    const shapeData = {
+      id: data.id,
+      shape: data.shape,
+      x1: data.x1,
+      y1: data.y1,
+      x2: data.x2,
+      y2: data.y2,
+      color: data.color,
+      fill: data.fill || null,
+      lineWidth: data.lineWidth,
+      owner: socket.userData.username,
+      createdAt: now,
+      timestamp: now,
+      userId: socket.userData.username
+    };
+
+    storage.objects.insert(boardId, { id: data.id, type: 'shape', data: shapeData }, socket.userData.username)
+      .then(() => {
+        recordAction(socket, 'shape', data.id, []);
+        auditObjects('create', [{ id: data.id, type: 'shape' }]);
+        reply({ success: true, id: data.id });
+        publishOp(boardId, 'shape', shapeData, socket);
+      }, (err) => {
+        console.error('❌ DB save error:', err);
+        reply({ success: false, error: 'Ошибка при сохранении фигуры' });
+      });
+  });
+
+  // Перемещение или изменение фигуры
+  socket.on('shapeUpdate', (data) => {
+    if (!socket.boardId) {
+      console.log('❌ Shape update from user outside a board');
+      return;
+    }
+
+    if (!data || !data.id) {
+      console.log('❌ Invalid shape update data');
+      return;
+    }
+
+    modifyObject('shape', 'shapeUpdate', data, {
+      notFound: 'Фигура не найдена',
+      denied: 'Нет прав для изменения этой фигуры',
+      failed: 'Ошибка при изменении фигуры'
+    });
+  });
+
+  // Удаление фигуры
+  socket.on('shapeDelete', (data) => {
+    if (!socket.boardId) {
+      console.log('❌ Shape delete from user outside a board');
+      return;
+    }
+
+    if (!data || !data.id) {
+      console.log('❌ Invalid shape delete data');
+      return;
+    }
+
+    deleteObject('shape', 'shapeDelete', data, {
+      notFound: 'Фигура не найдена',
+      denied: 'Нет прав для удаления этой фигуры',
+      failed: 'Ошибка при удалении фигуры'
+    });
+  });
+
+  // Картинка на доске: файл уже загружен через /api/uploads для этой доски
+  socket.on('image', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!socket.boardId) {
+      console.log('❌ Image creation from user outside a board');
+      return;
+    }
+
+    const uploadId = data && uploads.uploadIdFromUrl(data.url);
+    if (!data || !isValidObjectId(data.id) || !uploadId || !isValidImageBox(data)) {
+      console.log('❌ Invalid image data');
+      return reply({ success: false, error: 'Некорректные данные картинки' });
+    }
+
+    if (!canWrite(socket.userData, socket.boardId)) {
+      logDenied('add image', { write: true });
+      return reply({ success: false, error: WRITE_DENIED_MESSAGE });
+    }
+
+    if (!hasRoomFor(socket.boardId, 1)) {
+      return reply({ success: false, error: BOARD_FULL_MESSAGE });
+    }
+
+    const isAdmin = socket.userData.role === ADMIN_ROLE;
+    if (data.pinned && !isAdmin) {
+      return reply({ success: false, error: 'Закрепить фон может только учитель' });
+    }
+
+    const boardId = socket.boardId;
+    try {
+      const upload = await storage.get('SELECT id FROM uploads WHERE id = ? AND board_id = ?', [uploadId, boardId]);
+      if (!upload) {
+        console.log(`❌ Upload ${uploadId} does not belong to board ${boardId}`);
+        return reply({ success: false, error: 'Файл не найден' });
+      }
+
+      const now = new Date().toISOString();
+      const imageData = {
+        id: data.id,
+        url: data.url,
+        x: data.x,
+        y: data.y,
+        width: data.width,
+        height: data.height,
+        pinned: Boolean(data.pinned),
+        owner: socket.userData.username,
+        createdAt: now,
+        timestamp: now,
+        userId: socket.userData.username
+      };
+
+      await storage.objects.insert(boardId, { id: data.id, type: 'image', data: imageData }, socket.userData.username);
+
+      recordAction(socket, 'image', data.id, []);
+      auditObjects('create', [{ id: data.id, type: 'image' }]);
+      reply({ success: true, id: data.id });
+      publishOp(boardId, 'image', imageData, socket);
+    } catch (err) {
+      console.error('❌ DB save error:', err);
+      reply({ success: false, error: 'Ошибка при сохранении картинки' });
+    }
+  });
+
+  // Перемещение, изменение размера и закрепление картинки
+  socket.on('imageUpdate', (data) => {
+    if (!socket.boardId) {
+      console.log('❌ Image update from user outside a board');
+      return;
+    }
+
+    if (!data || !data.id) {
+      console.log('❌ Invalid image update data');
+      return;
+    }
+
+    // Клиент меняет только геометрию и закрепление, адрес файла остается прежним
+    const update = { id: data.id };
+    if (['x', 'y', 'width', 'height'].some(key => key in data)) {
+      if (!isValidImageBox(data)) {
+        console.log('❌ Invalid image update data');
+        return;
+      }
+      Object.assign(update, { x: data.x, y: data.y, width: data.width, height: data.height });
+    }
+
+    if ('pinned' in data) {
+      if (socket.userData.role !== ADMIN_ROLE) {
+        logDenied('pin image', { objectId: data.id });
+        return socket.emit('error', { message: 'Закрепить фон может только учитель' });
+      }
+      update.pinned = Boolean(data.pinned);
+    }
+
+    modifyObject('image', 'imageUpdate', update, {
+      notFound: 'Картинка не найдена',
+      denied: 'Нет прав для изменения этой картинки',
+      failed: 'Ошибка при изменении картинки'
+    });
+  });
+
+  // Строки объектов выделения в порядке ids; ошибка — текст для клиента
+  const loadSelection = async (boardId, ids) => {
+    const rows = [];
+    for (const id of ids) {
+      const row = await storage.objects.find(boardId, id);
+      if (!row) {
+        return { error: 'Объект не найден, обновите доску' };
+      }
+      if (!canModifyObject(socket.userData, row)) {
+        logDenied(`change ${row.type}`, { objectId: id });
+        return { error: 'Нет прав для изменения выбранных объектов' };
+      }
+      rows.push(row);
+    }
+    return { rows };
+  };
+
+  const batchList = (list) => (
+    Array.isArray(list) && list.length > 0 && list.length <= MAX_BATCH_OBJECTS ? list : null
+  );
+
+  // Вставка и дублирование: объекты создаются от имени вставившего
+  socket.on('objects_create', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!socket.boardId) {
+      console.log('❌ Objects creation from user outside a board');
+      return;
+    }
+
+    const items = batchList(data && data.objects);
+    if (!items) {
+      return reply({ success: false, error: 'Некорректный список объектов' });
+    }
+
+    if (!canWrite(socket.userData, socket.boardId)) {
+      logDenied('paste objects', { write: true });
+      return reply({ success: false, error: WRITE_DENIED_MESSAGE });
+    }
+
+    if (!hasRoomFor(socket.boardId, items.length)) {
+      return reply({ success: false, error: BOARD_FULL_MESSAGE });
+    }
+
+    const boardId = socket.boardId;
+    const now = new Date().toISOString();
+    const objects = [];
+    // Заметки, созданные в режиме сбора мнений, скрыты до раскрытия
+    const notesHidden = Boolean(boardAccess.get(boardId).notesHidden);
+
+    try {
+      for (const item of items) {
+        const objectData = item && isValidObjectId(item.id) && buildObjectData(item.type, item);
+        if (!objectData) {
+          console.log('❌ Invalid pasted object');
+          return reply({ success: false, error: 'Некорректные данные объекта' });
+        }
+
+        if (item.type === 'image') {
+          const upload = await storage.get('SELECT id FROM uploads WHERE id = ? AND board_id = ?', [uploads.uploadIdFromUrl(item.url), boardId]);
+          if (!upload) {
+            return reply({ success: false, error: 'Картинку с другой доски нужно загрузить заново' });
+          }
+        }
+
+        objects.push({
+          id: item.id,
+          type: item.type,
+          data: {
+            id: item.id,
+            ...objectData,
+            owner: socket.userData.username,
+            createdAt: now,
+            timestamp: now,
+            userId: socket.userData.username,
+            ...(item.type === 'note' ? { hidden: notesHidden } : {})
+          }
+        });
+      }
+
+      const connectorError = await checkConnectors(boardId, objects);
+      if (connectorError) {
+        return reply({ success: false, error: connectorError });
+      }
+
+      await storage.transaction(async (tx) => {
+        for (const object of objects) {
+          await tx.objects.insert(boardId, object, socket.userData.username);
+        }
+      });
+    } catch (err) {
+      console.error('❌ Objects create error:', err);
+      return reply({ success: false, error: 'Ошибка при вставке объектов' });
+    }
+
+    recordBatchAction(socket, objects.map(object => ({ kind: object.type, id: object.id, state: [] })));
+    auditObjects('create', objects);
+    reply({ success: true });
+    publishOp(boardId, 'objects_create', { objects: objects.map(concealObject) }, socket);
+  });
+
+  // Перенос, масштаб и поворот выделения: клиент присылает новую геометрию объектов
+  socket.on('objects_update', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!socket.boardId) {
+      console.log('❌ Objects update from user outside a board');
+      return;
+    }
+
+    const items = batchList(data && data.objects);
+    if (!items || !items.every(item => item && typeof item.id === 'string')) {
+      return reply({ success: false, error: 'Некорректный список объектов' });
+    }
+
+    if (!canWrite(socket.userData, socket.boardId)) {
+      logDenied('transform objects', { write: true });
+      return reply({ success: false, error: WRITE_DENIED_MESSAGE });
+    }
+
+    const boardId = socket.boardId;
+    const now = new Date().toISOString();
+
+    try {
+      const selection = await loadSelection(boardId, items.map(item => item.id));
+      if (selection.error) {
+        return reply({ success: false, error: selection.error });
+      }
+
+      const objects = [];
+      for (const [index, row] of selection.rows.entries()) {
+        // Клиент может прислать только измененные поля геометрии
+        const storedData = JSON.parse(row.data);
+        const geometry = objectGeometry(row.type, { ...storedData, ...items[index] });
+        if (!geometry) {
+          console.log(`❌ Invalid geometry for ${row.type} ${row.object_id}`);
+          return reply({ success: false, error: 'Некорректные данные объекта' });
+        }
+
+        objects.push({
+          id: row.object_id,
+          type: row.type,
+          data: {
+            ...storedData,
+            ...geometry,
+            id: row.object_id,
+            owner: storedData.owner || row.user_id,
+            createdAt: storedData.createdAt || storedData.timestamp,
+            timestamp: now,
+            userId: socket.userData.username
+          }
+        });
+      }
+
+      await storage.transaction(async (tx) => {
+        for (const object of objects) {
+          await tx.objects.update(boardId, object.id, object.data);
+        }
+      });
+
+      recordBatchAction(socket, selection.rows.map(row => ({ kind: row.type, id: row.object_id, state: [row] })));
+      auditObjects('move', objects);
+      reply({ success: true });
+      publishOp(boardId, 'objects_update', { objects: objects.map(concealObject) }, socket);
+    } catch (err) {
+      console.error('❌ Objects update error:', err);
+      reply({ success: false, error: 'Ошибка при изменении объектов' });
+    }
+  });
+
+  // Удаление выделения любого вида: штрихи, фигуры, тексты, картинки
+  socket.on('objects_delete', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!socket.boardId) {
+      console.log('❌ Objects delete from user outside a board');
+      return;
+    }
+
+    const ids = batchList(data && data.ids);
+    if (!ids || !ids.every(id => typeof id === 'string')) {
+      return reply({ success: false, error: 'Некорректный список объектов' });
+    }
+
+    if (!canWrite(socket.userData, socket.boardId)) {
+      logDenied('delete objects', { write: true });
+      return reply({ success: false, error: WRITE_DENIED_MESSAGE });
+    }
+
+    const boardId = socket.boardId;
+
+    try {
+      const selection = await loadSelection(boardId, [...new Set(ids)]);
+      if (selection.error) {
+        return reply({ success: false, error: selection.error });
+      }
+
+      // Связи удаленных заметок и рамок удаляются вместе с ними (и возвращаются отменой)
+      const removed = new Set(selection.rows.map(row => row.object_id));
+      if (selection.rows.some(row => CONNECTABLE_TYPES.includes(row.type))) {
+        const connectors = await storage.objects.ofType(boardId, 'connector');
+        connectors.forEach(row => {
+          const { from, to } = JSON.parse(row.data);
+          if (!removed.has(row.object_id) && (removed.has(from) || removed.has(to))) {
+            removed.add(row.object_id);
+            selection.rows.push(row);
+          }
+        });
+      }
+
+      await storage.transaction(async (tx) => {
+        for (const row of selection.rows) {
+          await tx.objects.remove(boardId, row.object_id);
+        }
+      });
+
+      recordBatchAction(socket, selection.rows.map(row => ({ kind: row.type, id: row.object_id, state: [row] })));
+      auditObjects('delete', selection.rows.map(row => ({ id: row.object_id, type: row.type })));
+      reply({ success: true });
+      publishOp(boardId, 'objects_delete', { ids: selection.rows.map(row => row.object_id) }, socket);
+    } catch (err) {
+      console.error('❌ Objects delete error:', err);
+      reply({ success: false, error: 'Ошибка при удалении объектов' });
+    }
+  });
+
+  // Ластик: штрихи, которых коснулся путь ластика, удаляются целиком (mode 'stroke')
+  // или режутся на оставшиеся части (mode 'split'). Чужие штрихи не трогаются
+  socket.on('erase', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!socket.boardId) {
+      console.log('❌ Erase from user outside a board');
+      return;
+    }
+
+    const path = data && data.path;
+    const radius = data && data.radius;
+    if (!Array.isArray(path) || path.length === 0 || path.length > MAX_POINTS_PER_PACKET || !path.every(isPoint) ||
+        !(radius > 0 && radius <= MAX_ERASER_RADIUS) || !ERASE_MODES.includes(data.mode)) {
+      console.log('❌ Invalid erase data');
+      return reply({ success: false, error: 'Некорректные данные ластика' });
+    }
+
+    if (!canWrite(socket.userData, socket.boardId)) {
+      logDenied('erase', { write: true });
+      return reply({ success: false, error: WRITE_DENIED_MESSAGE });
+    }
+
+    const boardId = socket.boardId;
+    const now = new Date().toISOString();
+    const removed = [];
+    const updated = [];
+    const created = [];
+    const history = [];
+    // Записи в БД, которые выполняются одной транзакцией
+    const writes = [];
+    let skipped = 0;
+    const eraser = erase.createEraser(path, radius);
+
+    try {
+      const rows = await storage.objects.strokes(boardId);
+
+      for (const row of rows) {
+        const stroke = JSON.parse(row.data);
+        // Старые штрихи-ластики только закрашивали; их стирание вернуло бы стертое
+        if (stroke.isEraser) continue;
+
+        const pieces = data.mode === 'split'
+          ? eraser.split(stroke, MAX_STROKE_POINTS)
+          : (eraser.touches(stroke) ? [] : null);
+        if (eraser.overBudget) break;
+        if (!pieces) continue;
+
+        if (!canModifyObject(socket.userData, row)) {
+          skipped++;
+          continue;
+        }
+
+        history.push({ kind: 'stroke', id: row.object_id, state: [row] });
+        if (pieces.length === 0) {
+          removed.push(row.object_id);
+          writes.push(tx => tx.objects.remove(boardId, row.object_id));
+          continue;
+        }
+
+        // Первая часть остается тем же объектом, остальные — новые штрихи того же автора
+        const [first, ...rest] = pieces;
+        const createdAt = stroke.createdAt || stroke.timestamp;
+        const firstData = { ...stroke, id: row.object_id, points: first, createdAt, timestamp: now };
+        updated.push({ id: row.object_id, type: 'stroke', data: firstData });
+        writes.push(tx => tx.objects.update(boardId, row.object_id, firstData));
+
+        rest.forEach(points => {
+          const id = crypto.randomUUID();
+          const piece = { id, type: 'stroke', data: { ...stroke, id, points, createdAt, timestamp: now } };
+          created.push(piece);
+          history.push({ kind: 'stroke', id, state: [] });
+          writes.push(tx => tx.objects.insert(boardId, piece, row.user_id));
+        });
+      }
+
+      // Ничего не записано: стирание отклоняется целиком, а не обрывается на середине
+      if (eraser.overBudget) {
+        console.log(`❌ Erase path of ${socket.userData.username} is too complex`);
+        return reply({ success: false, error: 'Слишком сложный путь ластика, сотрите по частям' });
+      }
+
+      if (skipped > 0) {
+        console.log(`❌ User ${socket.userData.username} tried to erase ${skipped} strokes of other users`);
+        audit('denied', { details: { action: 'erase', skipped } });
+      }
+
+      // Разрезанные штрихи добавляют объекты на доску
+      if (created.length > removed.length && !hasRoomFor(boardId, created.length - removed.length)) {
+        return reply({ success: false, error: BOARD_FULL_MESSAGE });
+      }
+
+      if (writes.length > 0) {
+        await storage.transaction(async (tx) => {
+          for (const write of writes) {
+            await write(tx);
+          }
+        });
+        recordBatchAction(socket, history);
+        audit('erase', { details: { mode: data.mode, removed, split: updated.map(object => object.id), created: created.length } });
+      }
+    } catch (err) {
+      console.error('❌ Erase error:', err);
+      return reply({ success: false, error: 'Ошибка при стирании' });
+    }
+
+    const result = { removed, updated, created, skipped };
+    reply({ success: true, ...result });
+
+    // Остальным изменения приходят обычными пакетными событиями
+    if (removed.length > 0) {
+      publishOp(boardId, 'objects_delete', { ids: removed }, socket);
+    }
+    if (updated.length > 0) {
+      publishOp(boardId, 'objects_update', { objects: updated }, socket);
+    }
+    if (created.length > 0) {
+      publishOp(boardId, 'objects_create', { objects: created }, socket);
+    }
+  });
+
+  // Удаление картинки (файл остается: он может понадобиться для отмены и версий)
+  socket.on('imageDelete', (data) => {
+    if (!socket.boardId) {
+      console.log('❌ Image delete from user outside a board');
+      return;
+    }
+
+    if (!data || !data.id) {
+      console.log('❌ Invalid image delete data');
+      return;
+    }
+
+    deleteObject('image', 'imageDelete', data, {
+      notFound: 'Картинка не найдена',
+      denied: 'Нет прав для удаления этой картинки',
+      failed: 'Ошибка при удалении картинки'
+    });
+  });
+
+  // Текст и цвет заметки; перенос и размер — через objects_update
+  socket.on('noteUpdate', (data) => {
+    if (!socket.boardId) {
+      console.log('❌ Note update from user outside a board');
+      return;
+    }
+
+    const content = data && data.id && noteContentData({ text: '', ...data });
+    if (!content) {
+      console.log('❌ Invalid note update data');
+      return;
+    }
+
+    // Поля, которых нет в запросе, остаются прежними
+    const update = Object.fromEntries(Object.entries(content).filter(([key]) => data[key] !== undefined));
+
+    modifyObject('note', 'noteUpdate', { id: data.id, ...update }, {
+      notFound: 'Заметка не найдена',
+      denied: 'Нет прав для изменения этой заметки',
+      failed: 'Ошибка при изменении заметки'
+    });
+  });
+
+  // Подпись и цвет рамки
+  socket.on('frameUpdate', (data) => {
+    if (!socket.boardId) {
+      console.log('❌ Frame update from user outside a board');
+      return;
+    }
+
+    const content = data && data.id && frameContentData(data);
+    if (!content) {
+      console.log('❌ Invalid frame update data');
+      return;
+    }
+
+    const update = Object.fromEntries(Object.entries(content).filter(([key]) => data[key] !== undefined));
+
+    modifyObject('frame', 'frameUpdate', { id: data.id, ...update }, {
+      notFound: 'Рамка не найдена',
+      denied: 'Нет прав для изменения этой рамки',
+      failed: 'Ошибка при изменении рамки'
+    });
+  });
+
+  // Голос за заметку, в том числе чужую: повторный голос того же пользователя снимает его.
+  // Результат рассылается всем, включая голосующего, — счетчик у всех одинаковый
+  socket.on('note_vote', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!socket.boardId) {
+      console.log('❌ Note vote from user outside a board');
+      return;
+    }
+
+    if (!canWrite(socket.userData, socket.boardId)) {
+      logDenied('vote', { write: true });
+      return reply({ success: false, error: WRITE_DENIED_MESSAGE });
+    }
+
+    const boardId = socket.boardId;
+    const username = socket.userData.username;
+
+    noteVotes = noteVotes.then(async () => {
+      const row = await storage.objects.find(boardId, data.id);
+      if (!row || row.type !== 'note') {
+        return reply({ success: false, error: 'Заметка не найдена' });
+      }
+
+      const storedData = JSON.parse(row.data);
+      if (storedData.hidden) {
+        return reply({ success: false, error: 'Голосовать можно после раскрытия заметок' });
+      }
+
+      const votes = Array.isArray(storedData.votes) ? storedData.votes : [];
+      const voted = !votes.includes(username);
+      const newData = { ...storedData, votes: voted ? [...votes, username] : votes.filter(name => name !== username) };
+
+      await storage.objects.update(boardId, row.object_id, newData);
+      reply({ success: true, voted, votes: newData.votes.length });
+      publishOp(boardId, 'objects_update', { objects: [{ id: row.object_id, type: 'note', data: newData }] });
+    }).catch(err => {
+      console.error('❌ Note vote error:', err);
+      reply({ success: false, error: 'Ошибка при голосовании' });
+    });
+  });
+
+  // Обработка очистки доски
+  socket.on('clear', () => {
+    if (!socket.boardId) {
+      console.log('❌ Clear request from user outside a board');
+      return;
+    }
+
+    // Проверяем права на очистку (только админ)
+    if (socket.userData.role !== ADMIN_ROLE) {
+      logDenied('clear board');
+      socket.emit('clear_error', { message: 'Только учитель может очистить доску' });
+      return;
+    }
+
+    const boardId = socket.boardId;
+
+    // Перед очисткой сохраняем автоматический снимок, чтобы доску можно было вернуть
+    createSnapshot(boardId, 'Перед очисткой', socket.userData.username, true)
+      .then(snapshot => storage.objects.clear(boardId).then(() => snapshot))
+      .then((snapshot) => {
+        console.log(`✅ Board ${boardId} cleared by ${socket.userData.username}`);
+        audit('clear', { boardId, details: { snapshot: snapshot.id, objects: snapshot.object_count } });
+        resetBoardHistory(boardId);
+        
+        // Очищаем доску у всех пользователей
+        publishOp(boardId, 'clear', null);
+        
+        // Отправляем уведомление о очистке
+        notifyBoard(boardId, `${socket.userData.username} очистил доску`);
+      })
+      .catch(err => {
+        console.error('❌ DB clear error:', err);
+        socket.emit('clear_error', { message: 'Ошибка при очистке доски' });
+      });
+  });
+
+  // Управление классом: блокировка доски, права учеников, прожектор (только учитель)
+  const requireTeacher = (event, reply) => {
+    if (!socket.boardId) {
+      reply({ success: false, error: 'Вы не на доске' });
+      return false;
+    }
+    if (socket.userData.role !== ADMIN_ROLE) {
+      logDenied(event);
+      reply({ success: false, error: 'Это может делать только учитель' });
+      return false;
+    }
+    return true;
+  };
+
+  socket.on('board_lock', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!requireTeacher('board_lock', reply)) return;
+
+    const boardId = socket.boardId;
+    const locked = Boolean(data && data.locked);
+
+    storage.boards.setLocked(boardId, locked)
+      .then(() => getBoardAccess(boardId))
+      .then(access => {
+        access.locked = locked;
+        shareBoardAccess(boardId);
+        console.log(`🔒 Board ${boardId} ${locked ? 'locked' : 'unlocked'} by ${socket.userData.username}`);
+
+        io.to(boardRoom(boardId)).emit('permissions_update', accessState(boardId));
+        notifyBoard(boardId, locked ? 'Учитель закрыл доску для рисования' : 'Учитель открыл доску для рисования');
+        reply({ success: true });
+      })
+      .catch(err => {
+        console.error('❌ Board lock error:', err);
+        reply({ success: false, error: 'Ошибка базы данных' });
+      });
+  });
+
+  // Режим сбора мнений: пока он включен, новые заметки видны только авторам.
+  // Выключение раскрывает все скрытые заметки доски
+  socket.on('notes_hidden', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!requireTeacher('notes_hidden', reply)) return;
+
+    const boardId = socket.boardId;
+    const hidden = Boolean(data && data.hidden);
+
+    try {
+      await storage.boards.setNotesHidden(boardId, hidden);
+      const access = await getBoardAccess(boardId);
+      access.notesHidden = hidden;
+      shareBoardAccess(boardId);
+      io.to(boardRoom(boardId)).emit('permissions_update', accessState(boardId));
+
+      let revealed = [];
+      if (!hidden) {
+        revealed = (await storage.objects.ofType(boardId, 'note'))
+          .map(row => ({ id: row.object_id, type: 'note', data: JSON.parse(row.data) }))
+          .filter(note => note.data.hidden)
+          .map(note => ({ ...note, data: { ...note.data, hidden: false } }));
+
+        await storage.transaction(async (tx) => {
+          for (const note of revealed) {
+            await tx.objects.update(boardId, note.id, note.data);
+          }
+        });
+        if (revealed.length > 0) {
+          publishOp(boardId, 'objects_update', { objects: revealed });
+        }
+      }
+
+      console.log(`🙈 Notes on board ${boardId} ${hidden ? 'hidden' : `revealed (${revealed.length})`} by ${socket.userData.username}`);
+      notifyBoard(boardId, hidden ? 'Учитель скрыл новые заметки до раскрытия' : 'Учитель раскрыл заметки');
+      reply({ success: true });
+    } catch (err) {
+      console.error('❌ Notes visibility error:', err);
+      reply({ success: false, error: 'Ошибка базы данных' });
+    }
+  });
+
+  // canWrite: true — разрешить, false — запретить, null — как у всей доски
+  socket.on('set_permission', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!requireTeacher('set_permission', reply)) return;
+
+    const boardId = socket.boardId;
+    const username = data && typeof data.username === 'string' ? data.username : '';
+    const permission = data && typeof data.canWrite === 'boolean' ? data.canWrite : null;
+
+    if (!username || username.length > 50) {
+      return reply({ success: false, error: 'Не указан ученик' });
+    }
+
+    storage.boards.setPermission(boardId, username, permission, socket.userData.username)
+      .then(() => getBoardAccess(boardId))
+      .then(access => {
+        if (permission === null) {
+          access.permissions.delete(username);
+        } else {
+          access.permissions.set(username, permission);
+        }
+        shareBoardAccess(boardId);
+        console.log(`✅ Write permission of ${username} on board ${boardId} set to ${permission}`);
+
+        io.to(boardRoom(boardId)).emit('permissions_update', accessState(boardId));
+        reply({ success: true });
+      })
+      .catch(err => {
+        console.error('❌ Permission update error:', err);
+        reply({ success: false, error: 'Ошибка базы данных' });
+      });
+  });
+
+  // Прожектор: учитель выделяет ученика для всего класса (null — снять)
+  socket.on('spotlight', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!requireTeacher('spotlight', reply)) return;
+
+    const boardId = socket.boardId;
+    const username = data && typeof data.username === 'string' && data.username ? data.username : null;
+
+    getBoardAccess(boardId)
+      .then(access => {
+        access.spotlight = username;
+        shareBoardAccess(boardId);
+        io.to(boardRoom(boardId)).emit('permissions_update', accessState(boardId));
+        reply({ success: true });
+      })
+      .catch(err => {
+        console.error('❌ Spotlight error:', err);
+        reply({ success: false, error: 'Ошибка базы данных' });
+      });
+  });
+
+  // Поднятая рука ученика видна всем на доске; хранится в сессии,
+  // чтобы список онлайн в любом процессе сервера ее показывал
+  socket.on('hand_raise', (data) => {
+    if (!socket.boardId) return;
+
+    const boardId = socket.boardId;
+    const raised = Boolean(data && data.raised);
+    storage.sessions.setHandRaised(socket.id, raised)
+      .then(() => {
+        io.to(boardRoom(boardId)).emit('hand_raise', {
+          socketId: socket.id,
+          username: socket.userData.username,
+          raised
+        });
+      })
+      .catch(err => console.error('❌ Hand raise error:', err));
+  });
+
+  // Учитель опускает руку ученика (ученик может быть подключен к другому процессу)
+  socket.on('lower_hand', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!requireTeacher('lower_hand', reply)) return;
+
+    const boardId = socket.boardId;
+    storage.sessions.find(data.socketId)
+      .then(async (session) => {
+        if (!session || session.board_id !== boardId) {
+          return reply({ success: false, error: 'Ученик не найден на доске' });
+        }
+
+        await storage.sessions.setHandRaised(session.socket_id, false);
+        io.to(boardRoom(boardId)).emit('hand_raise', {
+          socketId: session.socket_id,
+          username: session.username,
+          raised: false
+        });
+        reply({ success: true });
+      })
+      .catch(err => {
+        console.error('❌ Lower hand error:', err);
+        reply({ success: false, error: 'Ошибка базы данных' });
+      });
+  });
+
+  // Сообщение в чат доски; упомянутые пользователи получают mention, где бы они ни были
+  socket.on('chat_message', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!socket.boardId) {
+      return reply({ success: false, error: 'Вы не на доске' });
+    }
+
+    const text = data && typeof data.text === 'string' ? data.text.trim() : '';
+    if (!text || text.length > MESSAGE_MAX_LENGTH) {
+      return reply({ success: false, error: `Сообщение должно быть от 1 до ${MESSAGE_MAX_LENGTH} символов` });
+    }
+
+    const boardId = socket.boardId;
+    const { username, role } = socket.userData;
+
+    findMentions(text)
+      .then(async (mentions) => {
+        const row = await storage.get(
+          'INSERT INTO messages (board_id, type, username, role, text, mentions) VALUES (?, ?, ?, ?, ?, ?) RETURNING *',
+          [boardId, 'user', username, role, text, JSON.stringify(mentions)]
+        );
+        const message = toClientMessage(row);
+
+        io.to(boardRoom(boardId)).emit('chat_message', message);
+
+        if (mentions.length > 0) {
+          io.to(mentions.map(userRoom)).except(socket.id)
+            .emit('mention', { from: username, boardId, text, messageId: message.id });
+        }
+
+        reply({ success: true, id: message.id });
+      })
+      .catch(err => {
+        console.error('❌ Chat message error:', err);
+        reply({ success: false, error: 'Не удалось отправить сообщение' });
+      });
+  });
+
+  // Курсор пользователя в логических координатах; drawing — рисует ли он сейчас.
+  // Курсоры идут часто, поэтому отправляются volatile: потеря кадра не страшна
+  socket.on('cursor', (data) => {
+    if (!socket.boardId || !data || !Number.isFinite(data.x) || !Number.isFinite(data.y)) return;
+
+    socket.volatile.to(boardRoom(socket.boardId)).emit('cursor', {
+      socketId: socket.id,
+      username: socket.userData.username,
+      role: socket.userData.role,
+      x: data.x,
+      y: data.y,
+      drawing: Boolean(data.drawing)
+    });
+  });
+
+  socket.on('cursor_leave', () => {
+    if (!socket.boardId) return;
+    socket.to(boardRoom(socket.boardId)).emit('cursor_leave', { socketId: socket.id });
+  });
+
+  // Видимая область учителя для режима «следовать за учителем»
+  socket.on('viewport', (data) => {
+    if (!socket.boardId || socket.userData.role !== ADMIN_ROLE) return;
+
+    if (!data || !['x', 'y', 'scale', 'width', 'height'].every(key => Number.isFinite(data[key])) ||
+        data.scale <= 0 || data.width <= 0 || data.height <= 0) {
+      console.log('❌ Invalid viewport data');
+      return;
+    }
+
+    const viewport = {
+      socketId: socket.id,
+      username: socket.userData.username,
+      x: data.x,
+      y: data.y,
+      scale: data.scale,
+      width: data.width,
+      height: data.height
+    };
+    teacherViewports.set(socket.boardId, viewport);
+    notifyServers('teacher_viewport', socket.boardId, viewport);
+    socket.volatile.to(boardRoom(socket.boardId)).emit('teacher_viewport', viewport);
+  });
+
+  // Последняя известная область учителя — для ученика, который только включил слежение
+  socket.on('follow_teacher', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : typeof data === 'function' ? data : () => {};
+    if (!socket.boardId) {
+      return reply({ success: false, error: 'Вы не на доске' });
+    }
+
+    const viewport = teacherViewports.get(socket.boardId);
+    reply(viewport ? { success: true, viewport } : { success: false, error: 'Учитель сейчас не на доске' });
+  });
+
+  // Отмена и повтор собственных действий пользователя
+  socket.on('undo', (data, ack) => {
+    if (!socket.boardId) {
+      console.log('❌ Undo from user outside a board');
+      return;
+    }
+    const reply = typeof ack === 'function' ? ack : typeof data === 'function' ? data : () => {};
+    if (!canWrite(socket.userData, socket.boardId)) {
+      return reply({ success: false, error: WRITE_DENIED_MESSAGE });
+    }
+    applyHistoryStep(socket, 'undo').then(reply);
+  });
+
+  socket.on('redo', (data, ack) => {
+    if (!socket.boardId) {
+      console.log('❌ Redo from user outside a board');
+      return;
+    }
+    const reply = typeof ack === 'function' ? ack : typeof data === 'function' ? data : () => {};
+    if (!canWrite(socket.userData, socket.boardId)) {
+      return reply({ success: false, error: WRITE_DENIED_MESSAGE });
+    }
+    applyHistoryStep(socket, 'redo').then(reply);
+  });
+
+  // Обработка ping/pong для проверки соединения
+  socket.on('ping', (data) => {
+    socket.emit('pong', { ...data, serverTime: new Date().toISOString() });
+  });
+
+  // Обработка отключения пользователя
+  socket.on('disconnect', (reason) => {
+    console.log(`👤 User disconnected: ${socket.id}, reason: ${reason}`);
+    
+    // Недорисованные штрихи сохраняем как есть
+    socket.activeStrokes.forEach((stroke, strokeId) => finishStroke(strokeId));
+
+    if (socket.boardId) {
+      console.log(`📤 User ${socket.userData.username} disconnected`);
+
+      const boardId = socket.boardId;
+      audit('leave', { boardId, details: { reason } });
+
+      // Оповещаем об отключении
+      releaseTeacherViewport(socket, boardId);
+      socket.to(boardRoom(boardId)).emit('user_left', {
+        socketId: socket.id,
+        username: socket.userData.username,
+        role: socket.userData.role,
+        message: `${socket.userData.username} покинул доску`,
+        timestamp: new Date().toISOString()
+      });
+
+      // Удаляем пользователя из БД и обновляем список пользователей
+      storage.sessions.remove(socket.id)
+        .then(
+          () => console.log(`✅ User session removed for ${socket.userData.username}`),
+          (err) => console.error('❌ Error removing user session:', err)
+        )
+        .then(() => updateOnlineUsers(boardId));
+    }
+  });
+
+  // Обработка ошибок
+  socket.on('error', (error) => {
+    console.error('❌ Socket error:', error);
+  });
+});
+
+// Журнал операций: номер операции выдает БД, поэтому процессы с общей базой
+// нумеруют операции одним счетчиком. Записи процесса идут по очереди,
+// чтобы sync видел все операции, которые этот процесс уже разослал
+let opWrites = Promise.resolve();
+
+// Штрихи, которые сейчас сохраняются: их операции попадут в журнал после записи.
+// Остановка сервера дожидается их, в том числе штрихов, завершенных отключением
+const strokeSaves = new Set();
+
+// Голоса меняют данные заметки чтением и записью, поэтому голоса процесса идут
+// по очереди: одновременные голоса за одну заметку не затирают друг друга
+let noteVotes = Promise.resolve();
+
+// Записи журнала действий, которые еще не дошли до базы: выдача журнала
+// и остановка сервера их дожидаются. Ошибка записи не мешает самому действию
+const auditWrites = new Set();
+const recordAudit = (type, { boardId = null, username = null, objectId = null, details = null }) => {
+  const write = storage.audit.record({ type, boardId, username, objectId, details })
+    .catch(err => console.error('❌ Audit log write error:', err))
+    .finally(() => auditWrites.delete(write));
+  auditWrites.add(write);
+};
+
+// Сколько хранится журнал действий
+const AUDIT_LOG_TTL = 180 * 24 * 60 * 60 * 1000;
+
+// Номер последней записанной операции (0 — журнал пуст)
+const latestOpSeq = async () => {
+  await opWrites;
+  const row = await storage.get('SELECT MAX(seq) AS seq FROM board_ops');
+  return row.seq || 0;
+};
+
+// Изменения доски, которые клиент может повторить после переподключения
+const DEDUPED_EVENTS = [
+  'text', 'textUpdate', 'textMove', 'textDelete',
+  'shape', 'shapeUpdate', 'shapeDelete',
+  'image', 'imageUpdate', 'imageDelete',
+  'noteUpdate', 'frameUpdate', 'note_vote',
+  'objects_create', 'objects_update', 'objects_delete', 'erase',
+  'undo', 'redo', 'clear'
+];
+
+// Сколько операций клиент может догнать за раз и сколько журнал хранится;
+// отставший сильнее перезагружает доску целиком
+const MAX_SYNC_OPS = 1000;
+const OP_LOG_TTL = 24 * 60 * 60 * 1000;
+
+// Изменение содержимого доски: рассылка события, запись в журнал и новая ревизия доски.
+// Вызывается после записи изменения в базу. sender — сокет автора (он сам событие не получает), null — рассылка всем;
+// record — что записать в журнал, если для догоняющих нужно другое событие
+function publishOp(boardId, event, payload, sender = null, record = { event, payload }) {
+  (sender ? sender.to(boardRoom(boardId)) : io.to(boardRoom(boardId))).emit(event, payload);
+
+  opWrites = opWrites
+    .then(() => storage.boards.bumpRevision(boardId))
+    .then(() => storage.get(
+      'INSERT INTO board_ops (board_id, event, payload) VALUES (?, ?, ?) RETURNING seq',
+      [boardId, record.event, record.payload === null ? null : JSON.stringify(record.payload)]
+    ))
+    .then(op => io.to(boardRoom(boardId)).emit('board_seq', { seq: op.seq }))
+    .then(() => refreshObjectCount(boardId))
+    .catch(err => console.error('❌ Op log write error:', err));
+}
+
+// Системное сообщение доски: всплывающее уведомление и запись в чат
+function notifyBoard(boardId, message) {
+  io.to(boardRoom(boardId)).emit('notification', {
+    message,
+    type: 'info',
+    timestamp: new Date().toISOString()
+  });
+
+  storage.get('INSERT INTO messages (board_id, type, text) VALUES (?, ?, ?) RETURNING *', [boardId, 'system', message])
+    .then(row => io.to(boardRoom(boardId)).emit('chat_message', toClientMessage(row)))
+    .catch(err => console.error('❌ System message error:', err));
+}
+
+// Последняя видимая область учителя на каждой доске (boardId -> viewport)
+const teacherViewports = new Map();
+
+// Учитель ушел с доски: ученики перестают следовать за его областью
+function releaseTeacherViewport(socket, boardId) {
+  const viewport = teacherViewports.get(boardId);
+  if (viewport && viewport.socketId === socket.id) {
+    teacherViewports.delete(boardId);
+    notifyServers('teacher_viewport_end', boardId, socket.id);
+    socket.to(boardRoom(boardId)).emit('teacher_viewport_end', { socketId: socket.id });
+  }
+}
+
+// События от других процессов сервера (notifyServers)
+io.on('board_access', (state) => {
+  const access = boardAccess.get(state.boardId);
+  if (!access) return;
+
+  access.locked = state.locked;
+  access.notesHidden = state.notesHidden;
+  access.permissions = new Map(Object.entries(state.permissions));
+  access.spotlight = state.spotlight;
+});
+
+io.on('board_history_reset', dropBoardHistory);
+
+io.on('teacher_viewport', (boardId, viewport) => {
+  teacherViewports.set(boardId, viewport);
+});
+
+io.on('teacher_viewport_end', (boardId, socketId) => {
+  const viewport = teacherViewports.get(boardId);
+  if (viewport && viewport.socketId === socketId) {
+    teacherViewports.delete(boardId);
+  }
+});
+
+// Функция для обновления списка онлайн-пользователей доски
+function updateOnlineUsers(boardId) {
+  storage.sessions.listByBoard(boardId).then((rows) => {
+    rows.forEach(row => {
+      row.hand_raised = Boolean(row.hand_raised);
+    });
+    io.to(boardRoom(boardId)).emit('online_users_update', rows);
+    console.log(`📊 Online users updated on board ${boardId}: ${rows.length} users`);
+  }, (err) => {
+    console.error('❌ Error fetching online users:', err);
+  });
+}
+
+// Обновление списков пользователей на всех открытых досках
+function updateAllOnlineUsers() {
+  io.sockets.adapter.rooms.forEach((sockets, room) => {
+    if (room.startsWith('board:')) {
+      updateOnlineUsers(parseInt(room.slice('board:'.length)));
+    }
+  });
+}
+
+// Функция для периодической очистки старых сессий.
+// Таймеры обслуживания не держат процесс: его держит сам HTTP-сервер
+setInterval(() => {
+  const cutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 часа назад
+  storage.sessions.removeOlderThan(cutoffTime.toISOString())
+    .then((result) => {
+      if (result.changes > 0) {
+        console.log(`✅ Old sessions cleaned: ${result.changes} removed`);
+        updateAllOnlineUsers();
+      }
+    })
+    .catch(err => console.error('❌ Error cleaning old sessions:', err));
+
+  const opCutoff = new Date(Date.now() - OP_LOG_TTL).toISOString().replace('T', ' ').slice(0, 19);
+  Promise.all([
+    storage.run('DELETE FROM board_ops WHERE created_at < ?', [opCutoff]),
+    storage.run('DELETE FROM applied_ops WHERE created_at < ?', [opCutoff])
+  ])
+    .then(([ops, applied]) => {
+      if (ops.changes + applied.changes > 0) {
+        console.log(`✅ Op log cleaned: ${ops.changes} ops, ${applied.changes} applied ids removed`);
+      }
+    })
+    .catch(err => console.error('❌ Error cleaning op log:', err));
+
+  const auditCutoff = new Date(Date.now() - AUDIT_LOG_TTL).toISOString().replace('T', ' ').slice(0, 19);
+  storage.audit.removeOlderThan(auditCutoff)
+    .then((result) => {
+      if (result.changes > 0) {
+        console.log(`✅ Audit log cleaned: ${result.changes} events removed`);
+      }
+    })
+    .catch(err => console.error('❌ Error cleaning audit log:', err));
+
+  Object.values(rateLimiters).forEach(limiter => limiter.prune());
+
+  storage.run('DELETE FROM auth_tokens WHERE expires_at < ?', [new Date().toISOString()])
+    .then((result) => {
+      if (result.changes > 0) {
+        console.log(`✅ Expired tokens cleaned: ${result.changes} removed`);
+      }
+    })
+    .catch(err => console.error('❌ Error cleaning expired tokens:', err));
+}, 60 * 60 * 1000).unref(); // Каждый час
+
+// Функция для проверки состояния базы данных
+setInterval(() => {
+  storage.objects.countAll().then(
+    (count) => console.log(`💾 Database health: ${count} drawings in storage`),
+    (err) => console.error('❌ Database health check failed:', err)
+  );
+}, 5 * 60 * 1000).unref(); // Каждые 5 минут
+
+// Graceful shutdown
+const gracefulShutdown = () => {
+  console.log('\n🔄 Shutting down server gracefully...');
+  
+  // Отключаем новых пользователей
+  server.close((err) => {
+    if (err) {
+      console.error('❌ Error during server close:', err);
+      process.exit(1);
+    }
+    
+    console.log('✅ HTTP server closed');
+    
+    // Отключаем все socket соединения
+    io.close(() => {
+      console.log('✅ Socket.IO server closed');
+      
+      // Закрываем шину и базу данных
+      closeConnections().then(() => {
+        console.log('✅ Database connection closed');
+        process.exit(0);
+      }, (err) => {
+        console.error('❌ Error closing database:', err);
+        process.exit(1);
+      });
+    });
+  });
+  
+  // Принудительное завершение через 10 секунд
+  setTimeout(() => {
+    console.log('❌ Forcing shutdown after timeout');
+    process.exit(1);
+  }, 10000);
+};
+
+// Журнал операций дописывается до конца, затем закрываются шина и база
+const closeConnections = async () => {
+  await Promise.all(strokeSaves);
+  await opWrites;
+  await Promise.all(auditWrites);
+  if (brokerConnection && brokerConnection.close) {
+    await brokerConnection.close();
+  }
+  await storage.close();
+};
+
+/**
+ * Инициализация и запуск сервера; port 0 — любой свободный порт (тесты).
+ * Хранилище и шина берутся из окружения (DATABASE_URL или DB_PATH, REDIS_URL)
+ * или передаются готовыми: options.storage — результат openStorage,
+ * options.broker — { pubClient, subClient } с API пакета redis.
+ *
+ * Несколько процессов за балансировщиком работают с общими PostgreSQL и Redis.
+ * Балансировщик должен держать клиента на одном процессе (sticky sessions):
+ * этого требуют транспорт Socket.IO с long-polling, история отмены
+ * пользователя и ограничения частоты, которые живут в памяти процесса
+ */
+const startServer = async (port = process.env.PORT || 3000, options = {}) => {
+  storage = options.storage || await openStorage();
+  await storage.migrate();
+  await seedDefaultUsers();
+
+  brokerConnection = options.broker ||
+    (process.env.REDIS_URL ? await broker.connectBroker(process.env.REDIS_URL) : null);
+  if (brokerConnection) {
+    io.adapter(broker.brokerAdapter(brokerConnection));
+  }
+
+  await new Promise(resolve => server.listen(port, resolve));
+  const PORT = server.address().port;
+  console.log(`\n🚀 Server running on port ${PORT}`);
+  console.log(`📱 Open http://localhost:${PORT} in your browser`);
+  console.log(`⚡ Socket.IO server ready for real-time communication${brokerConnection ? ' (shared via Redis)' : ''}`);
+  console.log(`💾 ${storage.client === 'postgres' ? 'PostgreSQL' : 'SQLite'} database connected and ready`);
+  console.log(`⏰ Server started at: ${new Date().toISOString()}`);
+  return server;
+};
+
+// Остановка без выхода из процесса (тесты): сокеты и HTTP, затем журнал операций и БД
+const stopServer = async () => {
+  await new Promise(resolve => io.close(() => resolve()));
+  await closeConnections();
+};
+
+// Сервер стартует сам, только когда запущен файл (npm start);
+// тесты подключают его как модуль и запускают через startServer
+if (require.main === module) {
+  process.on('SIGINT', gracefulShutdown);
+  process.on('SIGTERM', gracefulShutdown);
+
+  startServer().catch(error => {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, server, io, startServer, stopServer, SOCKET_EVENTS };
@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+const shapeData = () => ({
+  id: crypto.randomUUID(),
+  type: 'shape',
+  shape: 'rect',
+  x1: 0,
+  y1: 0,
+  x2: 100,
+  y2: 50,
+  color: '#ff0000',
+  lineWidth: 2
+});
+
+describe('журнал действий', () => {
+  let baseUrl;
+  let teacher;
+  let student;
+
+  const auditLog = async (query = '') => {
+    const { status, body } = await h.api(`/api/audit${query}`, { token: teacher.token });
+    assert.equal(status, 200, body && body.error);
+    return body;
+  };
+
+  before(async () => {
+    baseUrl = await h.start();
+    teacher = await h.joinAs(h.ADMIN);
+    student = await h.joinAs(h.STUDENT);
+  });
+
+  after(async () => {
+    teacher.socket.close();
+    student.socket.close();
+    await h.stop();
+  });
+
+  it('записывает неудачный вход', async () => {
+    const { status } = await h.api('/api/login', { method: 'POST', body: { username: 'незнакомец', password: 'wrong-password' } });
+    assert.equal(status, 401);
+
+    const { events } = await auditLog('?type=login_failed');
+    const event = events.find(entry => entry.username === 'незнакомец');
+    assert.ok(event, 'неудачный вход в журнале');
+    assert.ok(event.details.ip);
+  });
+
+  it('записывает вход на доску, создание и удаление объектов по пользователю', async () => {
+    const shape = shapeData();
+    assert.equal((await h.emitAck(student.socket, 'objects_create', { objects: [shape] })).success, true);
+    assert.equal((await h.emitAck(student.socket, 'objects_delete', { ids: [shape.id] })).success, true);
+
+    const { events } = await auditLog(`?user=${encodeURIComponent(h.STUDENT.username)}`);
+    assert.ok(events.every(event => event.username === h.STUDENT.username));
+    assert.ok(events.some(event => event.type === 'join' && event.boardId === 1));
+
+    // Новые события первыми
+    const [deleted, created] = events.filter(event => event.objectId === shape.id);
+    assert.equal(deleted.type, 'delete');
+    assert.equal(created.type, 'create');
+    assert.deepEqual(created.details, { kind: 'shape' });
+  });
+
+  it('записывает попытку без прав и очистку доски учителем', async () => {
+    const denied = h.waitFor(student.socket, 'clear_error');
+    student.socket.emit('clear');
+    await denied;
+
+    const cleared = h.waitFor(student.socket, 'clear');
+    teacher.socket.emit('clear');
+    await cleared;
+
+    const { events: deniedEvents } = await auditLog(`?type=denied&user=${encodeURIComponent(h.STUDENT.username)}`);
+    assert.equal(deniedEvents[0].details.action, 'clear board');
+
+    const { events: clearEvents } = await auditLog('?type=clear&board=1');
+    assert.equal(clearEvents[0].username, h.ADMIN.username);
+    assert.ok(clearEvents[0].details.snapshot, 'ссылка на снимок перед очисткой');
+  });
+
+  it('записывает попытку ученика восстановить версию в журнал ее доски', async () => {
+    const saved = await h.api('/api/snapshots', { token: teacher.token, method: 'POST', body: { boardId: 1, name: 'До урока' } });
+    assert.equal(saved.status, 200, saved.body.error);
+    const snapshotId = saved.body.snapshot.id;
+
+    const { status } = await h.api(`/api/snapshots/${snapshotId}/restore`, { token: student.token, method: 'POST' });
+    assert.equal(status, 403);
+
+    const { events } = await auditLog(`?type=denied&board=1&user=${encodeURIComponent(h.STUDENT.username)}`);
+    assert.deepEqual(events[0].details, { action: 'restore snapshot', snapshot: snapshotId });
+  });
+
+  it('сводит активность по пользователям и фильтрует по времени', async () => {
+    const { activity } = await auditLog('?board=1');
+    const created = activity.find(entry => entry.username === h.STUDENT.username && entry.type === 'create');
+    assert.ok(created.count >= 1);
+    assert.ok(activity.some(entry => entry.username === h.ADMIN.username && entry.type === 'clear'));
+
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const later = await auditLog(`?from=${encodeURIComponent(future)}`);
+    assert.deepEqual(later.events, []);
+    assert.deepEqual(later.activity, []);
+
+    const { status, body } = await h.api('/api/audit?type=unknown', { token: teacher.token });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Некорректное поле «type»');
+  });
+
+  it('выгружает журнал в CSV', async () => {
+    const response = await fetch(`${baseUrl}/api/audit?format=csv&user=${encodeURIComponent(h.STUDENT.username)}`, {
+      headers: { Authorization: `Bearer ${teacher.token}` }
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="audit-.+\.csv"/);
+
+    const text = Buffer.from(await response.arrayBuffer()).toString('utf8');
+    assert.ok(text.startsWith('\uFEFF'), 'BOM для Excel');
+    const [header, ...rows] = text.slice(1).trim().split('\r\n');
+    assert.equal(header, 'time,username,type,board,object,details');
+    assert.ok(rows.length > 0);
+    assert.ok(rows.every(row => row.split(',')[1] === h.STUDENT.username));
+    assert.ok(rows.some(row => row.includes(',create,1,') && row.includes('"{""kind"":""shape""}"')));
+  });
+
+  it('не показывает журнал ученику', async () => {
+    const { status } = await h.api('/api/audit', { token: student.token });
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+describe('очистка доски', () => {
+  let teacher;
+  let student;
+
+  before(async () => {
+    await h.start();
+    teacher = await h.joinAs(h.ADMIN);
+    student = await h.joinAs(h.STUDENT);
+
+    const response = await h.emitAck(student.socket, 'shape', {
+      id: crypto.randomUUID(), shape: 'ellipse', x1: 0, y1: 0, x2: 50, y2: 30, color: '#000000', lineWidth: 2
+    });
+    assert.equal(response.success, true);
+  });
+
+  after(async () => {
+    teacher.socket.close();
+    student.socket.close();
+    await h.stop();
+  });
+
+  it('не дает ученику очистить доску через сокет', async () => {
+    const denied = h.waitFor(student.socket, 'clear_error');
+    const quiet = h.expectNoEvent(teacher.socket, 'clear');
+    student.socket.emit('clear', {});
+
+    assert.equal((await denied).message, 'Только учитель может очистить доску');
+    await quiet;
+    assert.equal((await h.boardObjects(teacher.token)).length, 1);
+  });
+
+  it('не верит роли из тела REST-запроса', async () => {
+    const { status } = await h.api('/api/clear', {
+      token: student.token,
+      method: 'DELETE',
+      body: { boardId: 1, role: 'Администратор' }
+    });
+
+    assert.equal(status, 403);
+    assert.equal((await h.boardObjects(teacher.token)).length, 1);
+  });
+
+  it('очищает доску у всех по команде учителя и сохраняет версию', async () => {
+    const clearedForStudent = h.waitFor(student.socket, 'clear');
+    const clearedForTeacher = h.waitFor(teacher.socket, 'clear');
+    const notice = h.waitFor(student.socket, 'notification');
+    teacher.socket.emit('clear', {});
+
+    await Promise.all([clearedForStudent, clearedForTeacher]);
+    assert.match((await notice).message, /очистил доску/);
+    assert.deepEqual(await h.boardObjects(teacher.token), []);
+
+    const { body: snapshots } = await h.api('/api/snapshots?board=1', { token: teacher.token });
+    assert.equal(snapshots[0].name, 'Перед очисткой');
+    assert.equal(snapshots[0].object_count, 1);
+  });
+
+  it('после очистки отменять нечего', async () => {
+    const response = await h.emitAck(student.socket, 'undo', {});
+    assert.equal(response.success, false);
+    assert.equal(response.error, 'Нечего отменять');
+  });
+});
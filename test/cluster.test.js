@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+const { createMemoryBroker } = require('./memory-broker');
+
+// Отдельный экземпляр сервера: модуль загружается заново со своими io и состоянием
+const loadServer = () => {
+  delete require.cache[require.resolve('../server')];
+  return require('../server');
+};
+
+// Два процесса сервера за балансировщиком: общая база PostgreSQL и общий брокер.
+// Учитель подключен к первому, ученица — ко второму
+describe('несколько процессов сервера', () => {
+  const instances = [loadServer(), loadServer()];
+  const urls = [];
+  let teacher;
+  let student;
+
+  before(async () => {
+    const pool = h.memoryPostgresPool();
+    const broker = createMemoryBroker();
+
+    for (const instance of instances) {
+      const server = await instance.startServer(0, {
+        storage: await h.openTestStorage(pool),
+        broker: broker.connect()
+      });
+      urls.push(`http://localhost:${server.address().port}`);
+    }
+
+    teacher = await h.joinAs(h.ADMIN, 1, urls[0]);
+    student = await h.joinAs(h.STUDENT, 1, urls[1]);
+  });
+
+  after(async () => {
+    teacher.socket.close();
+    student.socket.close();
+    for (const instance of instances) {
+      await instance.stopServer();
+    }
+  });
+
+  it('передает штрих с одного процесса на другой и сохраняет его в общей базе', async () => {
+    const id = crypto.randomUUID();
+    const ended = h.waitFor(teacher.socket, 'stroke_end', (stroke) => stroke.id === id);
+
+    student.socket.emit('stroke_start', { id, point: { x: 10, y: 10 }, color: '#ff0000', lineWidth: 3 });
+    student.socket.emit('stroke_points', { id, points: [{ x: 20, y: 15 }] });
+    student.socket.emit('stroke_end', { id });
+    await ended;
+
+    const { body } = await h.api('/api/drawings?board=1', { token: teacher.token, url: urls[0] });
+    const saved = body.find(object => object.id === id);
+    assert.ok(saved, 'штрих есть в базе');
+    assert.equal(saved.user_id, h.STUDENT.username);
+  });
+
+  it('применяет блокировку доски во всех процессах', async () => {
+    const updated = h.waitFor(student.socket, 'permissions_update', (state) => state.locked);
+    assert.equal((await h.emitAck(teacher.socket, 'board_lock', { locked: true })).success, true);
+    await updated;
+
+    try {
+      const id = crypto.randomUUID();
+      const rejected = h.waitFor(student.socket, 'stroke_rejected', (data) => data.id === id);
+      student.socket.emit('stroke_start', { id, point: { x: 0, y: 0 }, color: '#000000', lineWidth: 2 });
+      await rejected;
+    } finally {
+      const unlocked = h.waitFor(student.socket, 'permissions_update', (state) => !state.locked);
+      await h.emitAck(teacher.socket, 'board_lock', { locked: false });
+      await unlocked;
+    }
+  });
+
+  it('показывает поднятую руку и дает учителю опустить ее из другого процесса', async () => {
+    const raised = h.waitFor(teacher.socket, 'hand_raise', (data) => data.raised);
+    student.socket.emit('hand_raise', { raised: true });
+    assert.equal((await raised).username, h.STUDENT.username);
+
+    const { body: users } = await h.api('/api/users?board=1', { token: teacher.token, url: urls[0] });
+    assert.deepEqual(users.map(user => user.username).sort(), [h.ADMIN.username, h.STUDENT.username].sort());
+
+    const lowered = h.waitFor(student.socket, 'hand_raise', (data) => !data.raised);
+    const response = await h.emitAck(teacher.socket, 'lower_hand', { socketId: (await raised).socketId });
+    assert.equal(response.success, true);
+    assert.equal((await lowered).username, h.STUDENT.username);
+  });
+
+  it('выход отключает сокеты того же токена в другом процессе', async () => {
+    const token = await h.login(h.STUDENT, urls[0]);
+    const socket = await h.connect(token, urls[1]);
+
+    try {
+      const disconnected = new Promise(resolve => socket.once('disconnect', resolve));
+      const { status } = await h.api('/api/logout', { token, method: 'POST', url: urls[0] });
+      assert.equal(status, 200);
+      assert.equal(await disconnected, 'io server disconnect');
+    } finally {
+      socket.close();
+    }
+  });
+});
@@ -0,0 +1,196 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const h = require('./helpers');
+
+// Картинка 1×1 PNG
+const PIXEL_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+const CLI = path.join(__dirname, '..', 'scripts', 'board.js');
+
+describe('документ доски', () => {
+  let baseUrl;
+  let teacherToken;
+  let studentToken;
+  let boardId;
+  let doc;
+
+  const save = async (type, data) => {
+    const { status, body } = await h.api('/api/save', { token: teacherToken, method: 'POST', body: { type, data, boardId } });
+    assert.equal(status, 200, body.error);
+  };
+
+  before(async () => {
+    baseUrl = await h.start();
+    teacherToken = await h.login(h.ADMIN);
+    studentToken = await h.login(h.STUDENT);
+
+    const { body } = await h.api('/api/boards', { token: teacherToken, method: 'POST', body: { name: 'Урок геометрии' } });
+    boardId = body.board.id;
+
+    await save('shape', { shape: 'rect', x1: 0, y1: 0, x2: 100, y2: 50, color: '#ff0000', fill: '#00ff00', lineWidth: 4 });
+    await save('text', { text: '**Теорема**', x: 10, y: 80, width: 200, height: 40, bold: true, format: 'markdown' });
+    await save('stroke', { points: [{ x: 0, y: 0 }, { x: 30, y: 40 }], color: '#0000ff', lineWidth: 3 });
+
+    const uploaded = await h.upload(teacherToken, boardId, PIXEL_PNG, 'pixel.png');
+    assert.equal(uploaded.status, 200, uploaded.body.error);
+    await save('image', { url: uploaded.body.images[0].url, x: 300, y: 0, width: 50, height: 50 });
+  });
+
+  after(h.stop);
+
+  it('отдает доску документом с версией формата, владельцами, оформлением и файлами', async () => {
+    const { status, body } = await h.api(`/api/boards/${boardId}/document`, { token: studentToken });
+    assert.equal(status, 200);
+    doc = body;
+
+    assert.equal(doc.format, 'drawing-board');
+    assert.equal(doc.version, 1);
+    assert.equal(doc.board.name, 'Урок геометрии');
+    assert.deepEqual(doc.objects.map(object => object.type), ['shape', 'text', 'stroke', 'image']);
+    assert.ok(doc.objects.every(object => object.owner === h.ADMIN.username && object.createdAt));
+
+    const [shape, text] = doc.objects;
+    assert.equal(shape.data.fill, '#00ff00');
+    assert.equal(shape.data.lineWidth, 4);
+    assert.equal(text.data.format, 'markdown');
+    assert.equal(text.data.bold, true);
+    assert.equal(shape.data.owner, undefined, 'служебные поля вынесены из данных');
+
+    assert.equal(doc.files.length, 1);
+    assert.equal(doc.files[0].mime, 'image/png');
+    assert.deepEqual(Buffer.from(doc.files[0].data, 'base64'), PIXEL_PNG);
+  });
+
+  it('создает из документа новую доску с новыми id объектов и файлов', async () => {
+    const { status, body } = await h.api('/api/boards/import', { token: teacherToken, method: 'POST', body: doc });
+    assert.equal(status, 200, body.error);
+    assert.notEqual(body.board.id, boardId);
+    assert.equal(body.board.name, 'Урок геометрии');
+    assert.equal(body.board.objects, 4);
+
+    const original = await h.boardObjects(teacherToken, boardId);
+    const imported = await h.boardObjects(teacherToken, body.board.id);
+    assert.deepEqual(imported.map(object => object.type), original.map(object => object.type));
+    imported.forEach((object, index) => {
+      assert.notEqual(object.id, original[index].id);
+      assert.equal(object.data.id, object.id);
+      assert.equal(object.user_id, h.ADMIN.username);
+      assert.equal(object.data.createdAt, original[index].data.createdAt);
+    });
+    assert.deepEqual(imported[2].data.points, original[2].data.points);
+
+    const image = imported[3].data;
+    assert.notEqual(image.url, original[3].data.url);
+    const file = await fetch(`${baseUrl}${image.url}`);
+    assert.equal(file.status, 200);
+    assert.deepEqual(Buffer.from(await file.arrayBuffer()), PIXEL_PNG);
+  });
+
+  it('отклоняет некорректные документы с понятной ошибкой', async () => {
+    const importDoc = (body) => h.api('/api/boards/import', { token: teacherToken, method: 'POST', body });
+    const broken = (change) => {
+      const copy = JSON.parse(JSON.stringify(doc));
+      change(copy);
+      return copy;
+    };
+
+    let result = await importDoc({ objects: [] });
+    assert.equal(result.status, 400);
+    assert.equal(result.body.error, 'Файл не похож на документ доски');
+
+    result = await importDoc(broken(copy => { copy.version = 99; }));
+    assert.equal(result.body.error, 'Документ версии 99 создан более новой версией сервера');
+
+    result = await importDoc(broken(copy => { copy.objects[0].data.color = 'url(javascript:1)'; }));
+    assert.equal(result.body.error, 'Некорректное поле «objects[0].data.color»');
+
+    result = await importDoc(broken(copy => { copy.objects[2].data.points = []; }));
+    assert.equal(result.status, 400);
+
+    result = await importDoc(broken(copy => { copy.objects[1].id = copy.objects[0].id; }));
+    assert.match(result.body.error, /Повторяющийся id объекта/);
+
+    result = await importDoc(broken(copy => { copy.files = []; }));
+    assert.equal(result.body.error, 'Нет файла картинки «objects[3]»');
+
+    result = await importDoc(broken(copy => { copy.files[0].data = Buffer.from('%PDF-1.4 not an image').toString('base64'); }));
+    assert.equal(result.body.error, 'Некорректный файл «files[0]»');
+  });
+
+  it('не дает ученику импортировать доску', async () => {
+    const { status } = await h.api('/api/boards/import', { token: studentToken, method: 'POST', body: doc });
+    assert.equal(status, 403);
+  });
+
+  it('находит файл картинки с id в верхнем регистре', async () => {
+    const importDoc = (body) => h.api('/api/boards/import', { token: teacherToken, method: 'POST', body });
+    const upper = JSON.parse(JSON.stringify(doc));
+    upper.files[0].id = upper.files[0].id.toUpperCase();
+
+    const { status, body } = await importDoc(upper);
+    assert.equal(status, 200, body.error);
+    const image = (await h.boardObjects(teacherToken, body.board.id))[3].data;
+    const file = await fetch(`${baseUrl}${image.url}`);
+    assert.equal(file.status, 200);
+    assert.deepEqual(Buffer.from(await file.arrayBuffer()), PIXEL_PNG);
+
+    // Id, которые различаются только регистром, — один и тот же файл
+    upper.files.push({ ...doc.files[0] });
+    const duplicate = await importDoc(upper);
+    assert.equal(duplicate.status, 400);
+    assert.match(duplicate.body.error, /Повторяющийся id файла/);
+  });
+
+  it('читает тело импорта только после входа и проверки прав', async () => {
+    // Испорченное тело не разбирается вовсе: отказ приходит раньше
+    const post = (token) => fetch(`${baseUrl}/api/boards/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: '{"format": "drawing-board", '
+    });
+    assert.equal((await post(null)).status, 401);
+    assert.equal((await post(studentToken)).status, 403);
+
+    const malformed = await post(teacherToken);
+    assert.equal(malformed.status, 400);
+    assert.deepEqual(await malformed.json(), { success: false, error: 'Некорректные данные' });
+
+    // Документ больше общего предела в 100 КБ учитель импортирует
+    const large = JSON.parse(JSON.stringify(doc));
+    large.objects[1].data.text = 'x'.repeat(4000);
+    large.objects.push(...Array.from({ length: 40 }, () => ({ ...large.objects[1], id: crypto.randomUUID() })));
+    assert.ok(JSON.stringify(large).length > 100 * 1024);
+    const { status, body } = await h.api('/api/boards/import', { token: teacherToken, method: 'POST', body: large });
+    assert.equal(status, 200, body.error);
+    assert.equal(body.board.objects, doc.objects.length + 40);
+  });
+
+  it('переносит доску через scripts/board.js без сервера', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'board-cli-'));
+    const db = path.join(dir, 'board.db');
+    const file = path.join(dir, 'board.json');
+    fs.writeFileSync(file, JSON.stringify(doc));
+    const run = (...args) => execFileSync(process.execPath, [CLI, ...args, '--db', db], { timeout: 30000, stdio: 'pipe' });
+
+    try {
+      run('import', file, '--name', 'Из файла');
+      const exported = JSON.parse(run('export', '2').toString());
+
+      assert.equal(exported.board.name, 'Из файла');
+      assert.deepEqual(exported.objects.map(object => object.type), doc.objects.map(object => object.type));
+      // Данные те же, кроме адреса картинки: файл получил новый id
+      const withoutUrl = ({ url, ...data }) => data;
+      assert.deepEqual(exported.objects.map(object => withoutUrl(object.data)), doc.objects.map(object => withoutUrl(object.data)));
+      assert.deepEqual(exported.files.map(entry => entry.data), doc.files.map(entry => entry.data));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+describe('рисование', () => {
+  let teacher;
+  let student;
+
+  before(async () => {
+    await h.start();
+    teacher = await h.joinAs(h.ADMIN);
+    student = await h.joinAs(h.STUDENT);
+  });
+
+  after(async () => {
+    teacher.socket.close();
+    student.socket.close();
+    await h.stop();
+  });
+
+  it('передает штрих остальным по мере рисования и сохраняет его целиком', async () => {
+    const id = crypto.randomUUID();
+    const started = h.waitFor(teacher.socket, 'stroke_start', (stroke) => stroke.id === id);
+    const points = h.waitFor(teacher.socket, 'stroke_points', (data) => data.id === id);
+    const ended = h.waitFor(teacher.socket, 'stroke_end', (data) => data.id === id);
+
+    student.socket.emit('stroke_start', { id, point: { x: 10, y: 10 }, color: '#ff0000', lineWidth: 3 });
+    student.socket.emit('stroke_points', { id, points: [{ x: 20, y: 15 }, { x: 30, y: 20 }] });
+    student.socket.emit('stroke_end', { id });
+
+    const stroke = await started;
+    assert.equal(stroke.userId, h.STUDENT.username);
+    assert.equal(stroke.color, '#ff0000');
+    assert.deepEqual((await points).points.map(point => [point.x, point.y]), [[20, 15], [30, 20]]);
+    await ended;
+
+    const saved = (await h.boardObjects(teacher.token)).find(object => object.id === id);
+    assert.equal(saved.type, 'stroke');
+    assert.equal(saved.user_id, h.STUDENT.username);
+    assert.deepEqual(saved.data.points.map(point => [point.x, point.y]), [[10, 10], [20, 15], [30, 20]]);
+  });
+
+  it('не передает автору его собственные события', async () => {
+    const quiet = h.expectNoEvent(student.socket, 'shape');
+    const response = await h.emitAck(student.socket, 'shape', {
+      id: crypto.randomUUID(), shape: 'rect', x1: 0, y1: 0, x2: 40, y2: 40, color: '#000000', lineWidth: 2
+    });
+    assert.equal(response.success, true);
+    await quiet;
+  });
+
+  it('отклоняет штрих ученика на закрытой доске', async () => {
+    assert.equal((await h.emitAck(teacher.socket, 'board_lock', { locked: true })).success, true);
+
+    try {
+      const id = crypto.randomUUID();
+      const rejected = h.waitFor(student.socket, 'stroke_rejected', (data) => data.id === id);
+      const quiet = h.expectNoEvent(teacher.socket, 'stroke_start');
+      student.socket.emit('stroke_start', { id, point: { x: 0, y: 0 }, color: '#000000', lineWidth: 2 });
+
+      assert.equal((await rejected).message, 'Учитель не разрешил вам рисовать на этой доске');
+      await quiet;
+    } finally {
+      await h.emitAck(teacher.socket, 'board_lock', { locked: false });
+    }
+  });
+
+  it('применяет повтор операции, которую сервер отклонил, и пропускает повтор примененной', async () => {
+    const shape = { id: crypto.randomUUID(), shape: 'rect', x1: 0, y1: 0, x2: 40, y2: 40, color: '#000000', lineWidth: 2 };
+    const opId = crypto.randomUUID();
+
+    assert.equal((await h.emitAck(teacher.socket, 'board_lock', { locked: true })).success, true);
+    try {
+      const rejected = await h.emitAck(student.socket, 'shape', { ...shape, opId });
+      assert.equal(rejected.success, false);
+    } finally {
+      await h.emitAck(teacher.socket, 'board_lock', { locked: false });
+    }
+
+    // Тот же opId после переподключения: отказ не считается примененной операцией
+    assert.deepEqual(await h.emitAck(student.socket, 'shape', { ...shape, opId }), { success: true, id: shape.id });
+    assert.deepEqual(await h.emitAck(student.socket, 'shape', { ...shape, opId }), { success: true, duplicate: true });
+
+    const saved = (await h.boardObjects(teacher.token)).filter(object => object.id === shape.id);
+    assert.equal(saved.length, 1);
+  });
+
+  it('отдает содержимое доски страницами через /api/drawings', async () => {
+    for (let i = 0; i < 5; i++) {
+      const response = await h.emitAck(teacher.socket, 'shape', {
+        id: crypto.randomUUID(), shape: 'line', x1: i, y1: 0, x2: i, y2: 10, color: '#000000', lineWidth: 1
+      });
+      assert.equal(response.success, true);
+    }
+
+    const all = await h.boardObjects(teacher.token);
+    const pages = [];
+    let cursor = null;
+    do {
+      const query = cursor ? `&cursor=${cursor}` : '';
+      const { status, body, headers } = await h.api(`/api/drawings?board=1&limit=2${query}`, { token: teacher.token });
+      assert.equal(status, 200);
+      assert.ok(body.length <= 2);
+      pages.push(...body.map(object => object.id));
+      cursor = headers.get('X-Next-Cursor');
+    } while (cursor);
+
+    assert.deepEqual(pages, all.map(object => object.id));
+  });
+
+  it('отдает состояние доски с ETag по ревизии и 304, пока доска не менялась', async () => {
+    const state = `/api/boards/1/state`;
+    const first = await h.api(state, { token: student.token });
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.objects.map(object => object.id), (await h.boardObjects(teacher.token)).map(object => object.id));
+    assert.equal(first.body.nextCursor, null);
+
+    const etag = first.headers.get('ETag');
+    assert.equal(etag, `"1-${first.body.revision}"`);
+    const cached = await h.api(state, { token: student.token, headers: { 'If-None-Match': etag } });
+    assert.equal(cached.status, 304);
+
+    const id = crypto.randomUUID();
+    const sequenced = h.waitFor(student.socket, 'board_seq');
+    await h.emitAck(teacher.socket, 'shape', { id, shape: 'rect', x1: 0, y1: 0, x2: 5, y2: 5, color: '#000000', lineWidth: 1 });
+    await sequenced;
+
+    const changed = await h.api(state, { token: student.token, headers: { 'If-None-Match': etag } });
+    assert.equal(changed.status, 200);
+    assert.ok(changed.body.revision > first.body.revision);
+    assert.notEqual(changed.headers.get('ETag'), etag);
+    assert.equal(changed.body.objects.at(-1).id, id);
+  });
+
+  it('отклоняет курсор, чей объект удален, и некорректный курсор', async () => {
+    const { body: page } = await h.api('/api/boards/1/state?limit=1', { token: teacher.token });
+    assert.equal(page.objects.length, 1);
+    assert.ok(page.nextCursor);
+
+    const { status } = await h.api(`/api/drawing/${page.objects[0].id}`, { token: teacher.token, method: 'DELETE' });
+    assert.equal(status, 200);
+
+    const stale = await h.api(`/api/boards/1/state?cursor=${page.nextCursor}`, { token: teacher.token });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.error, 'Доска изменилась, начните загрузку сначала');
+
+    const broken = await h.api('/api/drawings?board=1&cursor=abc', { token: teacher.token });
+    assert.equal(broken.status, 400);
+  });
+
+  it('не отдает доску без входа', async () => {
+    assert.equal((await h.api('/api/drawings?board=1')).status, 401);
+  });
+});
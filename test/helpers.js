@@ -0,0 +1,184 @@
+// Общая обвязка интеграционных тестов: сервер на временной базе в памяти
+// и на свободном порту, пользователи — настоящие клиенты socket.io-client.
+// TEST_STORAGE=postgres — те же тесты на PostgreSQL в памяти (pg-mem)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DB_PATH = ':memory:';
+// Загрузки — во временный каталог, а не в uploads/ рядом с сервером
+process.env.UPLOAD_DIR = process.env.UPLOAD_DIR || fs.mkdtempSync(path.join(os.tmpdir(), 'board-uploads-'));
+
+const { io: connectSocket } = require('socket.io-client');
+const { newDb } = require('pg-mem');
+const { openStorage } = require('../lib/storage');
+const { startServer, stopServer } = require('../server');
+
+// Журнал сервера в выводе тестов только мешает; ошибки остаются видны
+console.log = () => {};
+
+const EVENT_TIMEOUT = 2000;
+
+// Аккаунты, которые сервер создает в пустой базе, с паролями из окружения
+const ADMIN = { username: 'admin', password: 'admin123' };
+const STUDENT = { username: 'ученица', password: 'student123' };
+process.env.ADMIN_PASSWORD = ADMIN.password;
+process.env.STUDENT_PASSWORD = STUDENT.password;
+process.env.SEED_DEMO_USERS = '1';
+
+let baseUrl = null;
+
+// Пустая база PostgreSQL в памяти процесса; несколько хранилищ
+// на одном pool видят одни и те же данные, как процессы с общей базой
+const memoryPostgresPool = () => {
+  const { Pool } = newDb().adapters.createPg();
+  return new Pool();
+};
+
+const openTestStorage = (pool = null) => (pool || process.env.TEST_STORAGE === 'postgres'
+  ? openStorage({ client: 'postgres', pool: pool || memoryPostgresPool() })
+  : openStorage({ client: 'sqlite', filename: ':memory:' }));
+
+const start = async () => {
+  const server = await startServer(0, { storage: await openTestStorage() });
+  baseUrl = `http://localhost:${server.address().port}`;
+  return baseUrl;
+};
+
+const stop = () => stopServer();
+
+// REST-запрос: { status, body, headers }; url — адрес другого сервера (тест нескольких процессов)
+const api = async (path, { token, method = 'GET', body, url = baseUrl, headers: extraHeaders = {} } = {}) => {
+  const headers = { 'Content-Type': 'application/json', ...extraHeaders };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${url}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null, headers: response.headers };
+};
+
+const login = async ({ username, password }, url = baseUrl) => {
+  const { status, body } = await api('/api/login', { method: 'POST', body: { username, password }, url });
+  if (status !== 200) {
+    throw new Error(`Login failed for ${username}: ${body && body.error}`);
+  }
+  return body.token;
+};
+
+// Еще один ученик: учетную запись создает учитель
+const createStudent = async (adminToken, username, password = 'secret123') => {
+  const { status, body } = await api('/api/accounts', {
+    token: adminToken,
+    method: 'POST',
+    body: { username, password, role: 'Ученица' }
+  });
+  if (status !== 200) {
+    throw new Error(`Account create failed for ${username}: ${body && body.error}`);
+  }
+  return { username, password };
+};
+
+// Загрузка файла на доску через /api/uploads: { status, body }
+const upload = async (token, boardId, buffer, filename) => {
+  const form = new FormData();
+  form.append('boardId', String(boardId));
+  form.append('file', new Blob([buffer]), filename);
+
+  const response = await fetch(`${baseUrl}/api/uploads`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Подключенный сокет пользователя с токеном. Только WebSocket: сокет,
+// отключенный сервером во время long-polling, держит процесс до 30 секунд
+const connect = (token, url = baseUrl) => new Promise((resolve, reject) => {
+  const socket = connectSocket(url, { auth: { token }, forceNew: true, reconnection: false, transports: ['websocket'] });
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', (err) => {
+    socket.close();
+    reject(err);
+  });
+});
+
+// Событие с ответом сервера (ack)
+const emitAck = (socket, event, data) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ack for ${event}`)), EVENT_TIMEOUT);
+  socket.emit(event, data, (response) => {
+    clearTimeout(timer);
+    resolve(response);
+  });
+});
+
+// Первое событие, подходящее под predicate
+const waitFor = (socket, event, predicate = () => true) => new Promise((resolve, reject) => {
+  const handler = (data) => {
+    if (!predicate(data)) return;
+    clearTimeout(timer);
+    socket.off(event, handler);
+    resolve(data);
+  };
+  const timer = setTimeout(() => {
+    socket.off(event, handler);
+    reject(new Error(`Timed out waiting for ${event}`));
+  }, EVENT_TIMEOUT);
+  socket.on(event, handler);
+});
+
+// Проверка, что событие не пришло за ms
+const expectNoEvent = (socket, event, ms = 300) => new Promise((resolve, reject) => {
+  const handler = (data) => {
+    clearTimeout(timer);
+    socket.off(event, handler);
+    reject(new Error(`Unexpected ${event}: ${JSON.stringify(data)}`));
+  };
+  const timer = setTimeout(() => {
+    socket.off(event, handler);
+    resolve();
+  }, ms);
+  socket.on(event, handler);
+});
+
+// Вход пользователя на доску: токен и сокет, который уже в комнате доски
+const joinAs = async (account, boardId = 1, url = baseUrl) => {
+  const token = await login(account, url);
+  const socket = await connect(token, url);
+  const response = await emitAck(socket, 'user_join', { boardId });
+  if (!response.success) {
+    socket.close();
+    throw new Error(`Join failed for ${account.username}: ${response.error}`);
+  }
+  return { token, socket, username: account.username };
+};
+
+const boardObjects = async (token, boardId = 1) => {
+  const { body } = await api(`/api/drawings?board=${boardId}`, { token });
+  return body;
+};
+
+module.exports = {
+  ADMIN,
+  STUDENT,
+  memoryPostgresPool,
+  openTestStorage,
+  start,
+  stop,
+  api,
+  login,
+  createStudent,
+  upload,
+  connect,
+  emitAck,
+  waitFor,
+  expectNoEvent,
+  joinAs,
+  boardObjects
+};
@@ -0,0 +1,98 @@
+// Брокер сообщений в памяти процесса вместо Redis: клиенты с тем же API,
+// что у пакета redis (pSubscribe/subscribe/publish/sendCommand), — ровно то,
+// чем пользуется @socket.io/redis-adapter. Несколько серверов в одном
+// тестовом процессе обмениваются сообщениями, как процессы через общий Redis
+const { EventEmitter } = require('events');
+
+// Шаблон pSubscribe: поддерживается только * в конце ("prefix*")
+const matches = (pattern, channel) => (pattern.endsWith('*')
+  ? channel.startsWith(pattern.slice(0, -1))
+  : channel === pattern);
+
+const createMemoryBroker = () => {
+  // Подписки всех клиентов: { client, pattern | channel, listener, asBuffer }
+  const subscriptions = new Set();
+
+  const deliver = (channel, message) => {
+    subscriptions.forEach(sub => {
+      const hit = sub.pattern ? matches(sub.pattern, channel) : sub.channel === channel;
+      if (!hit) return;
+      const payload = sub.asBuffer ? Buffer.from(message) : message.toString();
+      // Как и настоящий брокер, доставляем не в момент публикации
+      setImmediate(() => sub.listener(payload, channel));
+    });
+  };
+
+  const createClient = () => {
+    const client = new EventEmitter();
+
+    const remove = (predicate) => {
+      subscriptions.forEach(sub => {
+        if (sub.client === client && predicate(sub)) subscriptions.delete(sub);
+      });
+    };
+    const toList = (channels) => (Array.isArray(channels) ? channels : [channels]);
+
+    Object.assign(client, {
+      connect: async () => client,
+      close: async () => remove(() => true),
+      duplicate: () => createClient(),
+
+      pSubscribe: async (pattern, listener, asBuffer = false) => {
+        subscriptions.add({ client, pattern, listener, asBuffer });
+      },
+      pUnsubscribe: async (pattern, listener) => {
+        remove(sub => sub.pattern === pattern && (!listener || sub.listener === listener));
+      },
+      subscribe: async (channels, listener, asBuffer = false) => {
+        toList(channels).forEach(channel => subscriptions.add({ client, channel, listener, asBuffer }));
+      },
+      unsubscribe: async (channels, listener) => {
+        const list = toList(channels);
+        remove(sub => list.includes(sub.channel) && (!listener || sub.listener === listener));
+      },
+      // Шардированные подписки адаптер только проверяет на наличие (признак клиента redis v4+)
+      sSubscribe: async (channels, listener, asBuffer) => client.subscribe(channels, listener, asBuffer),
+      sUnsubscribe: async (channels, listener) => client.unsubscribe(channels, listener),
+
+      publish: async (channel, message) => {
+        deliver(channel, message);
+        return subscriptions.size;
+      },
+
+      // PUBSUB NUMSUB channel — сколько клиентов подписано на канал (число серверов)
+      sendCommand: async ([command, subcommand, channel]) => {
+        if (command !== 'PUBSUB' || subcommand !== 'NUMSUB') {
+          throw new Error(`Unsupported command: ${command} ${subcommand}`);
+        }
+        const clients = new Set();
+        subscriptions.forEach(sub => {
+          if (sub.channel === channel) clients.add(sub.client);
+        });
+        return [channel, clients.size];
+      }
+    });
+
+    return client;
+  };
+
+  /**
+   * Подключение одного сервера: то же, что возвращает connectBroker
+   * из lib/broker.js, но поверх общего брокера в памяти
+   */
+  const connect = () => {
+    const pubClient = createClient();
+    const subClient = pubClient.duplicate();
+    return {
+      pubClient,
+      subClient,
+      close: () => Promise.all([pubClient.close(), subClient.close()])
+    };
+  };
+
+  return { connect };
+};
+
+module.exports = {
+  createMemoryBroker
+};
@@ -0,0 +1,186 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+const noteData = (fields = {}) => ({
+  id: crypto.randomUUID(),
+  type: 'note',
+  text: 'Идея',
+  color: '#fff59d',
+  x: 100,
+  y: 100,
+  width: 160,
+  height: 120,
+  ...fields
+});
+
+const frameData = (fields = {}) => ({
+  id: crypto.randomUUID(),
+  type: 'frame',
+  title: 'Группа',
+  x: 0,
+  y: 0,
+  width: 480,
+  height: 320,
+  ...fields
+});
+
+const connectorData = (from, to) => ({ id: crypto.randomUUID(), type: 'connector', from, to, color: '#333333' });
+
+describe('заметки, рамки и связи', () => {
+  let teacher;
+  let author;
+  let other;
+
+  before(async () => {
+    await h.start();
+    teacher = await h.joinAs(h.ADMIN);
+    const classmate = await h.createStudent(teacher.token, 'одноклассник');
+    author = await h.joinAs(h.STUDENT);
+    other = await h.joinAs(classmate);
+  });
+
+  after(async () => {
+    [teacher, author, other].forEach(user => user.socket.close());
+    await h.stop();
+  });
+
+  // Объекты ученицы, которые уже видят остальные
+  const create = async (...objects) => {
+    const received = h.waitFor(other.socket, 'objects_create', (data) => data.objects[0].id === objects[0].id);
+    const response = await h.emitAck(author.socket, 'objects_create', { objects });
+    assert.equal(response.success, true, response.error);
+    return (await received).objects;
+  };
+
+  const setNotesHidden = async (hidden) => {
+    const updated = h.waitFor(other.socket, 'permissions_update', (state) => state.notesHidden === hidden);
+    assert.equal((await h.emitAck(teacher.socket, 'notes_hidden', { hidden })).success, true);
+    await updated;
+  };
+
+  it('создает заметку, рамку и связь между ними', async () => {
+    const note = noteData();
+    const frame = frameData();
+    const [createdNote, createdFrame, connector] = await create(note, frame, connectorData(note.id, frame.id));
+
+    assert.equal(createdNote.data.text, 'Идея');
+    assert.deepEqual(createdNote.data.votes, []);
+    assert.equal(createdNote.data.hidden, false);
+    assert.equal(createdNote.data.owner, h.STUDENT.username);
+    assert.equal(createdFrame.data.title, 'Группа');
+    assert.equal(connector.data.from, note.id);
+    assert.equal(connector.data.to, frame.id);
+  });
+
+  it('отклоняет связь с объектом, которого нет на доске', async () => {
+    const note = noteData();
+    await create(note);
+
+    const response = await h.emitAck(author.socket, 'objects_create', {
+      objects: [connectorData(note.id, crypto.randomUUID())]
+    });
+    assert.equal(response.success, false);
+    assert.equal(response.error, 'Связь соединяет только заметки и рамки этой доски');
+  });
+
+  it('меняет текст заметки только у автора и учителя', async () => {
+    const [note] = await create(noteData());
+
+    const denied = h.waitFor(other.socket, 'error');
+    other.socket.emit('noteUpdate', { id: note.id, text: 'Чужая правка' });
+    assert.equal((await denied).message, 'Нет прав для изменения этой заметки');
+
+    const updated = h.waitFor(teacher.socket, 'noteUpdate', (data) => data.id === note.id);
+    author.socket.emit('noteUpdate', { id: note.id, text: 'Идея получше' });
+    const data = await updated;
+    assert.equal(data.text, 'Идея получше');
+    assert.equal(data.color, '#fff59d', 'цвет без изменений');
+  });
+
+  it('засчитывает голос один раз и снимает его повторным голосом', async () => {
+    const [note] = await create(noteData());
+
+    const counted = h.waitFor(author.socket, 'objects_update', (data) => data.objects[0].id === note.id);
+    let response = await h.emitAck(other.socket, 'note_vote', { id: note.id });
+    assert.deepEqual(response, { success: true, voted: true, votes: 1 });
+    assert.deepEqual((await counted).objects[0].data.votes, [other.username]);
+
+    response = await h.emitAck(other.socket, 'note_vote', { id: note.id });
+    assert.deepEqual(response, { success: true, voted: false, votes: 0 });
+
+    const saved = (await h.boardObjects(teacher.token)).find(object => object.id === note.id);
+    assert.deepEqual(saved.data.votes, []);
+  });
+
+  it('скрывает заметки до раскрытия от всех, кроме автора', async () => {
+    await setNotesHidden(true);
+
+    try {
+      const [note] = await create(noteData({ text: 'Секретная идея' }));
+      assert.equal(note.data.text, '');
+      assert.equal(note.data.concealed, true);
+
+      const ownView = (await h.boardObjects(author.token)).find(object => object.id === note.id);
+      assert.equal(ownView.data.text, 'Секретная идея');
+      const otherView = (await h.boardObjects(other.token)).find(object => object.id === note.id);
+      assert.equal(otherView.data.text, '');
+
+      const vote = await h.emitAck(other.socket, 'note_vote', { id: note.id });
+      assert.equal(vote.error, 'Голосовать можно после раскрытия заметок');
+
+      const revealed = h.waitFor(other.socket, 'objects_update', (data) => data.objects.some(object => object.id === note.id));
+      await setNotesHidden(false);
+      const shown = (await revealed).objects.find(object => object.id === note.id);
+      assert.equal(shown.data.text, 'Секретная идея');
+      assert.equal(shown.data.hidden, false);
+    } finally {
+      await setNotesHidden(false);
+    }
+  });
+
+  it('не дает ученику включить режим сбора мнений', async () => {
+    const response = await h.emitAck(author.socket, 'notes_hidden', { hidden: true });
+    assert.equal(response.success, false);
+  });
+
+  it('удаляет связи вместе с заметкой и возвращает их отменой', async () => {
+    const first = noteData();
+    const second = noteData({ x: 400 });
+    const connector = connectorData(first.id, second.id);
+    await create(first, second, connector);
+
+    const deleted = h.waitFor(other.socket, 'objects_delete');
+    assert.equal((await h.emitAck(author.socket, 'objects_delete', { ids: [first.id] })).success, true);
+    assert.deepEqual((await deleted).ids.sort(), [first.id, connector.id].sort());
+
+    const restored = h.waitFor(other.socket, 'undo');
+    assert.equal((await h.emitAck(author.socket, 'undo', {})).success, true);
+    assert.deepEqual((await restored).changes.map(change => change.id).sort(), [first.id, connector.id].sort());
+
+    const ids = (await h.boardObjects(teacher.token)).map(object => object.id);
+    assert.ok(ids.includes(first.id) && ids.includes(connector.id));
+  });
+
+  it('переносит заметки и связи через документ доски', async () => {
+    const { body: doc } = await h.api('/api/boards/1/document', { token: teacher.token });
+    const connector = doc.objects.find(object => object.type === 'connector');
+    assert.ok(connector);
+    assert.equal(doc.objects.find(object => object.type === 'note').data.hidden, undefined);
+
+    const { status, body } = await h.api('/api/boards/import', { token: teacher.token, method: 'POST', body: doc });
+    assert.equal(status, 200, body.error);
+
+    const imported = await h.boardObjects(teacher.token, body.board.id);
+    const ids = new Set(imported.map(object => object.id));
+    imported.filter(object => object.type === 'connector').forEach(object => {
+      assert.ok(ids.has(object.data.from) && ids.has(object.data.to), 'концы связи — объекты новой доски');
+    });
+
+    const broken = JSON.parse(JSON.stringify(doc));
+    broken.objects.find(object => object.type === 'connector').data.to = crypto.randomUUID();
+    const rejected = await h.api('/api/boards/import', { token: teacher.token, method: 'POST', body: broken });
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.error, /ведет к объекту, которого нет в документе/);
+  });
+});
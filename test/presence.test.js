@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+describe('вход на доску и присутствие', () => {
+  before(h.start);
+  after(h.stop);
+
+  it('не пускает сокет без токена', async () => {
+    await assert.rejects(h.connect('not-a-token'), { message: 'unauthorized' });
+  });
+
+  it('отвечает ошибкой на вход на несуществующую доску', async () => {
+    const socket = await h.connect(await h.login(h.STUDENT));
+    try {
+      const response = await h.emitAck(socket, 'user_join', { boardId: 999 });
+      assert.equal(response.success, false);
+      assert.equal(response.error, 'Доска не найдена');
+    } finally {
+      socket.close();
+    }
+  });
+
+  it('сообщает остальным о входе и выходе и обновляет список онлайн', async () => {
+    const teacher = await h.joinAs(h.ADMIN);
+    const studentToken = await h.login(h.STUDENT);
+    const studentSocket = await h.connect(studentToken);
+
+    try {
+      const joined = h.waitFor(teacher.socket, 'user_joined');
+      const online = h.waitFor(teacher.socket, 'online_users_update', (users) => users.length === 2);
+      const response = await h.emitAck(studentSocket, 'user_join', { boardId: 1 });
+
+      assert.equal(response.success, true);
+      assert.equal(response.board.id, 1);
+      assert.equal(typeof response.seq, 'number');
+      assert.equal((await joined).username, h.STUDENT.username);
+      assert.deepEqual((await online).map(user => user.username).sort(), [h.ADMIN.username, h.STUDENT.username].sort());
+
+      const { body: users } = await h.api('/api/users?board=1', { token: teacher.token });
+      assert.equal(users.length, 2);
+
+      const left = h.waitFor(teacher.socket, 'user_left');
+      const afterLeave = h.waitFor(teacher.socket, 'online_users_update', (list) => list.length === 1);
+      studentSocket.close();
+
+      assert.equal((await left).username, h.STUDENT.username);
+      assert.equal((await afterLeave)[0].username, h.ADMIN.username);
+    } finally {
+      studentSocket.close();
+      teacher.socket.close();
+    }
+  });
+
+  it('переход на другую доску уводит пользователя из комнаты прежней', async () => {
+    const teacher = await h.joinAs(h.ADMIN);
+    const student = await h.joinAs(h.STUDENT);
+
+    try {
+      const { body } = await h.api('/api/boards', { token: teacher.token, method: 'POST', body: { name: 'Урок 2' } });
+      const left = h.waitFor(teacher.socket, 'user_left');
+      const response = await h.emitAck(student.socket, 'user_join', { boardId: body.board.id });
+
+      assert.equal(response.success, true);
+      assert.equal((await left).username, h.STUDENT.username);
+
+      // Штрихи на второй доске учитель на первой не видит
+      const quiet = h.expectNoEvent(teacher.socket, 'stroke_start');
+      student.socket.emit('stroke_start', { id: crypto.randomUUID(), point: { x: 1, y: 1 }, color: '#000000', lineWidth: 2 });
+      await quiet;
+    } finally {
+      student.socket.close();
+      teacher.socket.close();
+    }
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { openStorage } = require('../lib/storage');
+
+// Журнал хранилища в выводе тестов только мешает
+console.log = () => {};
+
+// У SQLite одно соединение на все запросы; у PostgreSQL транзакция получает
+// свое соединение из пула
+describe('хранилище SQLite', () => {
+  let storage;
+
+  before(async () => {
+    storage = await openStorage({ client: 'sqlite', filename: ':memory:' });
+    await storage.migrate();
+  });
+
+  after(() => storage.close());
+
+  it('не откатывает запросы вне транзакции вместе с ней', async () => {
+    let inside;
+    const opened = new Promise(resolve => { inside = resolve; });
+
+    const failed = storage.transaction(async (tx) => {
+      await tx.boards.create('Откатится', 'admin');
+      inside();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      throw new Error('rollback');
+    });
+
+    // Запрос приходит, пока транзакция открыта
+    await opened;
+    const saved = storage.boards.create('Останется', 'admin');
+
+    await assert.rejects(failed, /rollback/);
+    await saved;
+
+    const names = (await storage.all('SELECT name FROM boards')).map(board => board.name);
+    assert.ok(names.includes('Останется'));
+    assert.ok(!names.includes('Откатится'));
+  });
+});
@@ -0,0 +1,203 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+// Текст в том виде, в каком его присылает редактор
+const textData = (fields = {}) => ({
+  id: crypto.randomUUID(),
+  text: 'Задача 1',
+  x: 100,
+  y: 100,
+  width: 160,
+  height: 40,
+  color: '#000000',
+  ...fields
+});
+
+describe('тексты', () => {
+  let teacher;
+  let author;
+  let other;
+
+  before(async () => {
+    await h.start();
+    teacher = await h.joinAs(h.ADMIN);
+    const classmate = await h.createStudent(teacher.token, 'одноклассник');
+    author = await h.joinAs(h.STUDENT);
+    other = await h.joinAs(classmate);
+  });
+
+  after(async () => {
+    [teacher, author, other].forEach(user => user.socket.close());
+    await h.stop();
+  });
+
+  // Текст ученицы, который уже видят остальные
+  const createText = async (fields) => {
+    const data = textData(fields);
+    const received = h.waitFor(teacher.socket, 'text', (text) => text.id === data.id);
+    const response = await h.emitAck(author.socket, 'text', data);
+    assert.equal(response.success, true);
+    return received;
+  };
+
+  it('создает текст от имени автора и рассылает его', async () => {
+    const text = await createText({ owner: 'admin', bold: true, format: 'markdown' });
+
+    assert.equal(text.owner, h.STUDENT.username);
+    assert.equal(text.bold, true);
+    assert.equal(text.format, 'markdown');
+
+    const saved = (await h.boardObjects(teacher.token)).find(object => object.id === text.id);
+    assert.equal(saved.user_id, h.STUDENT.username);
+  });
+
+  it('отклоняет пустой и повторный текст', async () => {
+    assert.equal((await h.emitAck(author.socket, 'text', textData({ text: '   ' }))).success, false);
+
+    const data = textData();
+    assert.equal((await h.emitAck(author.socket, 'text', data)).success, true);
+    assert.equal((await h.emitAck(author.socket, 'text', data)).success, false);
+  });
+
+  it('дает править текст только автору и учителю', async () => {
+    const text = await createText();
+
+    const denied = h.waitFor(other.socket, 'error');
+    const quiet = h.expectNoEvent(teacher.socket, 'textUpdate');
+    other.socket.emit('textUpdate', { id: text.id, text: 'Чужая правка' });
+    assert.equal((await denied).message, 'Нет прав для редактирования этого текста');
+    await quiet;
+
+    const byAuthor = h.waitFor(teacher.socket, 'textUpdate', (update) => update.id === text.id);
+    author.socket.emit('textUpdate', { id: text.id, text: 'Задача 1 (решена)', italic: true });
+    const updated = await byAuthor;
+    assert.equal(updated.text, 'Задача 1 (решена)');
+    assert.equal(updated.italic, true);
+    assert.equal(updated.owner, h.STUDENT.username);
+
+    const byTeacher = h.waitFor(author.socket, 'textUpdate', (update) => update.id === text.id);
+    teacher.socket.emit('textUpdate', { id: text.id, text: 'Проверено' });
+    assert.equal((await byTeacher).text, 'Проверено');
+  });
+
+  it('меняет кегль вместе с оформлением и отклоняет кегль вне диапазона', async () => {
+    const text = await createText();
+
+    const resized = h.waitFor(teacher.socket, 'textUpdate', (update) => update.id === text.id);
+    author.socket.emit('textUpdate', { id: text.id, text: text.text, fontSize: 32 });
+    assert.equal((await resized).fontSize, 32);
+
+    const rejected = await h.emitAck(author.socket, 'textUpdate', { id: text.id, text: text.text, fontSize: 1000 });
+    assert.deepEqual(rejected, { success: false, error: 'Некорректное поле «fontSize»' });
+
+    const saved = (await h.boardObjects(teacher.token)).find(object => object.id === text.id);
+    assert.equal(saved.data.fontSize, 32);
+  });
+
+  it('дает двигать текст только автору и учителю', async () => {
+    const text = await createText();
+
+    const denied = h.waitFor(other.socket, 'error');
+    other.socket.emit('textMove', { id: text.id, x: 500, y: 500 });
+    assert.equal((await denied).message, 'Нет прав для перемещения этого текста');
+
+    const moved = h.waitFor(author.socket, 'textMove', (update) => update.id === text.id);
+    teacher.socket.emit('textMove', { id: text.id, x: 300, y: 250, width: 200, height: 60 });
+    const data = await moved;
+    assert.deepEqual([data.x, data.y, data.width, data.height], [300, 250, 200, 60]);
+    assert.equal(data.text, text.text);
+  });
+
+  it('дает удалять текст только автору и учителю', async () => {
+    const first = await createText();
+    const second = await createText();
+
+    const denied = h.waitFor(other.socket, 'error');
+    other.socket.emit('textDelete', { id: first.id });
+    assert.equal((await denied).message, 'Нет прав для удаления этого текста');
+
+    const deletedByAuthor = h.waitFor(other.socket, 'textDelete', (id) => id === first.id);
+    author.socket.emit('textDelete', { id: first.id });
+    await deletedByAuthor;
+
+    const deletedByTeacher = h.waitFor(author.socket, 'textDelete', (id) => id === second.id);
+    teacher.socket.emit('textDelete', { id: second.id });
+    await deletedByTeacher;
+
+    const ids = (await h.boardObjects(teacher.token)).map(object => object.id);
+    assert.ok(!ids.includes(first.id));
+    assert.ok(!ids.includes(second.id));
+  });
+
+  it('сообщает об удалении несуществующего текста', async () => {
+    const notFound = h.waitFor(author.socket, 'error');
+    author.socket.emit('textDelete', { id: crypto.randomUUID() });
+    assert.equal((await notFound).message, 'Текст не найден');
+  });
+
+  // Раньше правки шли по id строки, а не по id объекта: после перезагрузки
+  // перенесенный и исправленный текст возвращался, а удаленный — появлялся снова
+  describe('после перезагрузки доски', () => {
+    const reload = async (id) => (await h.boardObjects(teacher.token)).find(object => object.id === id);
+
+    // Изменение, которое остальные уже получили; результат — то, что они получили
+    const change = async (user, event, data) => {
+      const received = h.waitFor(other.socket, event, (update) => (update.id || update) === data.id);
+      user.socket.emit(event, data);
+      return received;
+    };
+
+    it('хранит текст под id, который выдал ему клиент', async () => {
+      const text = await createText();
+
+      const saved = await reload(text.id);
+      assert.ok(saved, 'текст найден по своему id');
+      assert.equal(saved.data.id, text.id);
+      assert.equal(saved.data.text, 'Задача 1');
+    });
+
+    it('сохраняет перенос и правку автора', async () => {
+      const text = await createText();
+
+      // opId клиента защищает от повтора, но в данные текста не попадает
+      const moved = await change(author, 'textMove', { id: text.id, x: 320, y: 240, width: 220, height: 80, opId: crypto.randomUUID() });
+      await change(author, 'textUpdate', { id: text.id, text: 'Задача 1 (решена)', italic: true, opId: crypto.randomUUID() });
+      assert.equal(moved.opId, undefined);
+
+      const saved = await reload(text.id);
+      assert.deepEqual([saved.data.x, saved.data.y, saved.data.width, saved.data.height], [320, 240, 220, 80]);
+      assert.equal(saved.data.text, 'Задача 1 (решена)');
+      assert.equal(saved.data.italic, true);
+      assert.equal(saved.data.opId, undefined);
+      assert.equal(saved.user_id, h.STUDENT.username);
+    });
+
+    it('сохраняет перенос и правку учителя в тексте ученицы', async () => {
+      const text = await createText();
+
+      await change(teacher, 'textUpdate', { id: text.id, text: 'Проверено', italic: false });
+      await change(teacher, 'textMove', { id: text.id, x: 10, y: 20, width: 300, height: 50 });
+
+      const saved = await reload(text.id);
+      assert.deepEqual([saved.data.x, saved.data.y, saved.data.width, saved.data.height], [10, 20, 300, 50]);
+      assert.equal(saved.data.text, 'Проверено');
+      assert.equal(saved.data.italic, false);
+      assert.equal(saved.data.owner, h.STUDENT.username, 'автор остается прежним');
+    });
+
+    it('не возвращает удаленный текст', async () => {
+      const text = await createText();
+      await change(author, 'textMove', { id: text.id, x: 50, y: 60 });
+      await change(author, 'textDelete', { id: text.id });
+
+      assert.equal(await reload(text.id), undefined);
+
+      // Удаленный текст больше нельзя ни править, ни двигать
+      const notFound = h.waitFor(author.socket, 'error');
+      author.socket.emit('textUpdate', { id: text.id, text: 'Воскрешение' });
+      assert.equal((await notFound).message, 'Текст не найден');
+      assert.equal(await reload(text.id), undefined);
+    });
+  });
+});
@@ -0,0 +1,342 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+const { SOCKET_EVENTS } = require('../server');
+
+const RATE_LIMIT_ERROR = 'Слишком много действий, подождите немного';
+
+// Картинка 1×1 PNG
+const PIXEL_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+// PDF из одной пустой страницы размером width × height pt
+const blankPdf = (width, height) => {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] >>`
+  ];
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = body.length;
+    body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(body);
+};
+
+// Враждебные данные для каждого события сокета: [событие, данные, поле с ошибкой]
+// (null — данные целиком не объект). Лишние поля не отклоняются, а отбрасываются
+const point = { x: 0, y: 0 };
+const box = { x: 0, y: 0, width: 10, height: 10 };
+const HOSTILE_EVENTS = [
+  ['sync', { since: 'all' }, 'since'],
+  ['user_join', { boardId: { $ne: 1 } }, 'boardId'],
+  ['stroke_start', { id: crypto.randomUUID(), point: { x: 1e9, y: 0 }, color: '#000000', lineWidth: 2 }, 'point.x'],
+  ['stroke_points', { id: crypto.randomUUID(), points: Array.from({ length: 501 }, () => point) }, 'points'],
+  ['stroke_end', { id: 'x'.repeat(37) }, 'id'],
+  ['text', { id: crypto.randomUUID(), text: 'a', ...box, fontFamily: 'Comic Sans' }, 'fontFamily'],
+  ['textUpdate', { id: 'text', text: 'a', bold: 'yes' }, 'bold'],
+  ['textMove', { id: 'text', x: 'left' }, 'x'],
+  ['textDelete', { id: 'x'.repeat(101) }, 'id'],
+  ['shape', { id: crypto.randomUUID(), shape: 'rect', x1: 0, y1: 0, x2: 1, y2: 1, lineWidth: 1, fill: 'url(javascript:1)' }, 'fill'],
+  ['shapeUpdate', { id: 'shape', color: 'red;background:url(x)' }, 'color'],
+  ['shapeDelete', { id: '' }, 'id'],
+  ['image', { id: crypto.randomUUID(), url: `/uploads/${'x'.repeat(200)}.png`, ...box }, 'url'],
+  ['imageUpdate', { id: 'image', pinned: 'true' }, 'pinned'],
+  ['imageDelete', { id: 5 }, 'id'],
+  ['noteUpdate', { id: 'note', text: 'x'.repeat(1001) }, 'text'],
+  ['frameUpdate', { id: 'frame', title: ['Группа'] }, 'title'],
+  ['note_vote', { id: {} }, 'id'],
+  ['objects_create', { objects: [{ id: crypto.randomUUID(), type: 'script', ...box }] }, 'objects[0].type'],
+  ['objects_update', { objects: [{ id: 'a', x: '10px' }] }, 'objects[0].x'],
+  ['objects_delete', { ids: 'all' }, 'ids'],
+  ['erase', { mode: 'all', path: [point], radius: 5 }, 'mode'],
+  ['clear', { opId: 'not-uuid' }, 'opId'],
+  ['undo', { opId: 42 }, 'opId'],
+  ['redo', { opId: 'x' }, 'opId'],
+  ['board_lock', { locked: 'yes' }, 'locked'],
+  ['notes_hidden', { hidden: 1 }, 'hidden'],
+  ['set_permission', { username: 'x'.repeat(51), canWrite: true }, 'username'],
+  ['spotlight', { username: 42 }, 'username'],
+  ['hand_raise', { raised: 'true' }, 'raised'],
+  ['lower_hand', { socketId: 'x'.repeat(101) }, 'socketId'],
+  ['follow_teacher', 'x', null],
+  ['chat_message', { text: 'x'.repeat(1001) }, 'text'],
+  ['cursor', { x: 0, y: '1' }, 'y'],
+  ['cursor_leave', 'x', null],
+  ['viewport', { x: 0, y: 0, scale: 0, width: 100, height: 100 }, 'scale'],
+  ['ping', { timestamp: -1 }, 'timestamp']
+];
+
+describe('проверка входящих данных', () => {
+  let baseUrl;
+  let teacher;
+  let student;
+  // Отдельный ученик для враждебных данных: лимиты частоты считаются по пользователю
+  let intruder;
+
+  before(async () => {
+    baseUrl = await h.start();
+    teacher = await h.joinAs(h.ADMIN);
+    student = await h.joinAs(h.STUDENT);
+    intruder = await h.joinAs(await h.createStudent(teacher.token, 'нарушитель'));
+  });
+
+  after(async () => {
+    [teacher, student, intruder].forEach(user => user.socket.close());
+    await h.stop();
+  });
+
+  const rejects = async (event, data, field, user = student) => {
+    const response = await h.emitAck(user.socket, event, data);
+    assert.equal(response.success, false, `${event} accepted ${JSON.stringify(data).slice(0, 80)}`);
+    assert.equal(response.error, field === null ? 'Некорректные данные' : `Некорректное поле «${field}»`, event);
+  };
+
+  it('проверяет данные каждого события сокета', async () => {
+    const names = HOSTILE_EVENTS.map(([event]) => event);
+    for (const [event, data, field] of HOSTILE_EVENTS) {
+      await rejects(event, data, field, intruder);
+    }
+
+    // Новое событие без враждебного случая здесь — повод дописать его
+    assert.deepEqual(Object.keys(SOCKET_EVENTS).filter(event => !names.includes(event)), []);
+  });
+
+  it('отбрасывает служебные поля заметки при вставке', async () => {
+    const id = crypto.randomUUID();
+    const response = await h.emitAck(intruder.socket, 'objects_create', {
+      objects: [{ id, type: 'note', text: 'Идея', ...box, votes: ['admin', 'ученица'], hidden: true, owner: 'admin' }]
+    });
+    assert.equal(response.success, true, response.error);
+
+    const saved = (await h.boardObjects(teacher.token)).find(object => object.id === id);
+    assert.deepEqual(saved.data.votes, []);
+    assert.equal(saved.data.hidden, false);
+    assert.equal(saved.data.owner, 'нарушитель');
+  });
+
+  it('сообщает о превышении частоты событием error', async () => {
+    const limited = h.waitFor(intruder.socket, 'error', (error) => error.message === RATE_LIMIT_ERROR);
+    for (let i = 0; i < 100; i++) {
+      intruder.socket.emit('textMove', { id: 'нет-такого', x: i });
+    }
+    await limited;
+  });
+
+  it('отклоняет некорректные события с ответом', async () => {
+    const id = crypto.randomUUID();
+    await rejects('text', null, null);
+    await rejects('text', [1, 2], null);
+    await rejects('text', { id, text: 'x'.repeat(6000), x: 0, y: 0, width: 10, height: 10 }, 'text');
+    await rejects('text', { id: 'not-uuid', text: 'a', x: 0, y: 0, width: 10, height: 10 }, 'id');
+    await rejects('shape', { id, shape: 'star', x1: 0, y1: 0, x2: 1, y2: 1, lineWidth: 1 }, 'shape');
+    await rejects('shape', { id, shape: 'rect', x1: '0', y1: 0, x2: 1, y2: 1, lineWidth: 1 }, 'x1');
+    await rejects('shape', { id, shape: 'rect', x1: 0, y1: 0, x2: 1e12, y2: 1, lineWidth: 1 }, 'x2');
+    await rejects('image', { id, url: '/uploads/x.png', x: 0, y: 0, width: -5, height: 10 }, 'width');
+    await rejects('erase', { mode: 'stroke', path: [{ x: 0, y: null }], radius: 5 }, 'path[0].y');
+    await rejects('erase', { mode: 'stroke', path: [{ x: 0, y: 0 }], radius: 1000 }, 'radius');
+    await rejects('erase', { mode: 'stroke', path: Array.from({ length: 501 }, () => point), radius: 5 }, 'path');
+    await rejects('objects_create', { objects: [] }, 'objects');
+    await rejects('objects_create', {
+      objects: [{ id, type: 'text', text: 'a', x: 0, y: 0, width: 5, height: 5, color: 'red"/><script>' }]
+    }, 'objects[0].color');
+    await rejects('objects_delete', { ids: ['x'.repeat(500)] }, 'ids[0]');
+    await rejects('chat_message', { text: { $gt: '' } }, 'text');
+    await rejects('sync', { since: -1 }, 'since');
+  });
+
+  it('отклоняет путь ластика, проверка которого заняла бы процесс надолго', async () => {
+    // Длинные отрезки штриха рядом с кольцом пути, но не касаясь его:
+    // каждый отрезок приходится сверять со всем путем
+    const id = crypto.randomUUID();
+    const points = Array.from({ length: 20000 }, (_, i) => (i % 2 ? { x: 300, y: -150 } : { x: -150, y: 300 }));
+    const created = await h.emitAck(student.socket, 'objects_create', {
+      objects: [{ id, type: 'stroke', points, color: '#000000', lineWidth: 1 }]
+    });
+    assert.equal(created.success, true, created.error);
+
+    const path = Array.from({ length: 500 }, (_, i) => ({ x: 100 * Math.cos(i / 80), y: 100 * Math.sin(i / 80) }));
+    for (const mode of ['stroke', 'split']) {
+      const response = await h.emitAck(student.socket, 'erase', { mode, path, radius: 5 });
+      assert.deepEqual(response, { success: false, error: 'Слишком сложный путь ластика, сотрите по частям' });
+    }
+
+    const saved = (await h.boardObjects(teacher.token)).find(object => object.id === id);
+    assert.equal(saved.data.points.length, points.length);
+
+    const removed = await h.emitAck(student.socket, 'objects_delete', { ids: [id] });
+    assert.equal(removed.success, true, removed.error);
+  });
+
+  it('сообщает об ошибке событием error, если ответа не ждут', async () => {
+    const error = h.waitFor(student.socket, 'error');
+    student.socket.emit('textMove', { id: 42, x: 0 });
+    assert.equal((await error).message, 'Некорректное поле «id»');
+  });
+
+  it('отклоняет штрих с некорректной толщиной через stroke_rejected', async () => {
+    const id = crypto.randomUUID();
+    const rejected = h.waitFor(student.socket, 'stroke_rejected', (data) => data.id === id);
+    const quiet = h.expectNoEvent(teacher.socket, 'stroke_start');
+    student.socket.emit('stroke_start', { id, point: { x: 0, y: 0 }, color: '#000000', lineWidth: Infinity });
+
+    assert.equal((await rejected).message, 'Некорректное поле «lineWidth»');
+    await quiet;
+  });
+
+  it('отбрасывает поля, которых нет в схеме события', async () => {
+    const id = crypto.randomUUID();
+    const created = await h.emitAck(student.socket, 'text', {
+      id, text: 'исходный', x: 0, y: 0, width: 100, height: 40, owner: 'admin', userId: 'admin'
+    });
+    assert.equal(created.success, true);
+
+    const moved = h.waitFor(teacher.socket, 'textMove', (data) => data.id === id);
+    student.socket.emit('textMove', { id, x: 70, text: 'подмена', owner: 'admin', createdAt: 'вчера', extra: 'x' });
+    const data = await moved;
+
+    assert.equal(data.x, 70);
+    assert.equal(data.text, 'исходный');
+    assert.equal(data.owner, h.STUDENT.username);
+    assert.notEqual(data.createdAt, 'вчера');
+    assert.equal(data.extra, undefined);
+  });
+
+  it('игнорирует неизвестные события', async () => {
+    student.socket.emit('drop_database', {});
+    const response = await h.emitAck(student.socket, 'sync', { since: 0 });
+    assert.equal(response.success, true);
+  });
+
+  it('ограничивает частоту сообщений чата', async () => {
+    const results = [];
+    for (let i = 0; i < 7; i++) {
+      results.push(await h.emitAck(student.socket, 'chat_message', { text: `сообщение ${i}` }));
+    }
+
+    // Запас — пять сообщений, одно уже потрачено некорректным сообщением выше
+    assert.ok(results.slice(0, 4).every(result => result.success));
+    assert.deepEqual(results.at(-1), { success: false, error: RATE_LIMIT_ERROR });
+  });
+
+  it('берет автора и права REST-запросов из токена', async () => {
+    assert.equal((await h.api('/api/save', { method: 'POST', body: { type: 'text', data: {} } })).status, 401);
+
+    const saved = await h.api('/api/save', {
+      token: student.token,
+      method: 'POST',
+      body: { type: 'shape', boardId: 1, userId: 'admin', data: { shape: 'rect', x1: 0, y1: 0, x2: 5, y2: 5, lineWidth: 2 } }
+    });
+    assert.equal(saved.status, 200);
+
+    const stored = (await h.boardObjects(teacher.token)).find(object => object.id === saved.body.id);
+    assert.equal(stored.user_id, h.STUDENT.username);
+    assert.equal(stored.data.owner, h.STUDENT.username);
+
+    const shapeId = crypto.randomUUID();
+    await h.emitAck(teacher.socket, 'shape', { id: shapeId, shape: 'rect', x1: 0, y1: 0, x2: 5, y2: 5, lineWidth: 2 });
+    const spoofed = await h.api(`/api/drawing/${shapeId}`, {
+      token: student.token,
+      method: 'DELETE',
+      body: { role: 'Администратор', userId: 'admin', owner: 'admin' }
+    });
+    assert.equal(spoofed.status, 403);
+
+    const own = await h.api(`/api/drawing/${saved.body.id}`, { token: student.token, method: 'DELETE' });
+    assert.equal(own.status, 200);
+  });
+
+  it('проверяет тело REST-запроса по схеме', async () => {
+    const { status, body } = await h.api('/api/save', {
+      token: student.token,
+      method: 'POST',
+      body: { type: 'script', data: {} }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Некорректное поле «type»');
+  });
+
+  it('отклоняет враждебные тела каждого REST-маршрута', async () => {
+    const cases = [
+      ['/api/accounts', { username: 'взлом', password: 123456 }, 'password'],
+      ['/api/boards', { name: 'x'.repeat(201) }, 'name'],
+      ['/api/snapshots', { boardId: 1, name: { $gt: '' } }, 'name'],
+      ['/api/save', { type: 'shape', boardId: 1, data: { shape: 'rect', x1: 0, y1: 0, x2: 5, y2: 5, lineWidth: '2' } }, 'data.lineWidth'],
+      ['/api/clear', { boardId: 'все' }, 'boardId', 'DELETE']
+    ];
+    for (const [path, body, field, method = 'POST'] of cases) {
+      const result = await h.api(path, { token: teacher.token, method, body });
+      assert.equal(result.status, 400, path);
+      assert.equal(result.body.error, `Некорректное поле «${field}»`, path);
+    }
+
+    const imported = await h.api('/api/boards/import', { token: teacher.token, method: 'POST', body: [{ format: 'drawing-board' }] });
+    assert.equal(imported.status, 400);
+    assert.equal(imported.body.success, false);
+  });
+
+  it('отвечает JSON на испорченное и слишком большое тело', async () => {
+    const post = (body) => fetch(`${baseUrl}/api/save`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${student.token}` },
+      body
+    });
+
+    let response = await post('{"type": "text", ');
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { success: false, error: 'Некорректные данные' });
+
+    response = await post(JSON.stringify({ type: 'text', data: { text: 'x'.repeat(200 * 1024) } }));
+    assert.equal(response.status, 413);
+    assert.deepEqual(await response.json(), { success: false, error: 'Слишком большой запрос' });
+  });
+
+  it('проверяет загружаемые файлы', async () => {
+    const disguised = await h.upload(student.token, 1, Buffer.from('<script>alert(1)</script>'), 'pixel.png');
+    assert.equal(disguised.status, 415);
+    assert.equal(disguised.body.error, 'Можно загрузить только PNG, JPEG, GIF, WEBP или PDF');
+
+    const wrongBoard = await h.upload(student.token, 'все', PIXEL_PNG, 'pixel.png');
+    assert.equal(wrongBoard.status, 400);
+    assert.equal(wrongBoard.body.success, false);
+  });
+
+  it('растеризует огромную страницу PDF мельче, а не в полном масштабе', async () => {
+    // 14400 pt — 5 метров: в полном масштабе это 21600 × 21600 пикселей
+    const { status, body } = await h.upload(teacher.token, 1, blankPdf(14400, 14400), 'poster.pdf');
+    assert.equal(status, 200, body.error);
+
+    const [page] = body.images;
+    assert.equal(page.width, page.height);
+    // Предел — 8 млн пикселей; mupdf округляет размер растра вверх
+    assert.ok(page.width * page.height <= 8000000 + 2 * page.width + 1, `${page.width} × ${page.height}`);
+  });
+
+  it('требует логин и пароль при входе', async () => {
+    let result = await h.api('/api/login', { method: 'POST', body: { username: 'admin', password: '' } });
+    assert.equal(result.status, 400);
+    assert.equal(result.body.error, 'Некорректное поле «password»');
+
+    result = await h.api('/api/login', { method: 'POST', body: { password: 'admin123' } });
+    assert.equal(result.body.error, 'Некорректное поле «username»');
+  });
+
+  it('ограничивает попытки входа с одного адреса', async () => {
+    const statuses = [];
+    for (let i = 0; i < 12; i++) {
+      statuses.push((await h.api('/api/login', { method: 'POST', body: { username: 'admin', password: 'wrong' } })).status);
+    }
+    assert.equal(statuses.at(-1), 429);
+
+    const limited = await h.api('/api/login', { method: 'POST', body: { username: 'admin', password: 'wrong' } });
+    assert.deepEqual(limited.body, { success: false, error: RATE_LIMIT_ERROR });
+  });
+});